@@ -21,32 +21,144 @@ This repository contains a full, minimal but production-minded implementation of
     server.js
     socket.js
     redisClient.js
+    /middleware
+      auth.js
+      rateLimit.js
     /models
       User.js
       Video.js
+      Like.js
+      Comment.js
+      CommentLike.js
+      VideoStat.js
+      CreatorStat.js
+      Interaction.js
+      Notification.js
+      Conversation.js
+      Message.js
+      Report.js
+      AuditLog.js
+      Session.js
+      FollowRequest.js
     /routes
       authRoutes.js
       userRoutes.js
       videoRoutes.js
+      uploadRoutes.js
+      analyticsRoutes.js
+      tagRoutes.js
+      searchRoutes.js
+      notificationRoutes.js
+      conversationRoutes.js
+      reportRoutes.js
+      moderationRoutes.js
     /controllers
       authController.js
       userController.js
       videoController.js
+      commentController.js
+      uploadController.js
+      analyticsController.js
+      tagController.js
+      searchController.js
+      notificationController.js
+      conversationController.js
+      reportController.js
+      moderationController.js
+    /utils
+      cursor.js
+      titleTokens.js
+    /scripts
+      migrateComments.js
+      backfillTrending.js
+      backfillTimelines.js
+      migrateStorageKeys.js
+      evaluateRecommender.js
+      backfillHashtags.js
+      backfillSearchFields.js
+      setRole.js
+    scheduler.js
+    timeline.js
+    ffmpeg.js
+    videoPipeline.js
+    videoPresenter.js
+    userPresenter.js
+    analytics.js
+    tags.js
+    search.js
+    notifications.js
+    messaging.js
+    blocks.js
+    loginLockout.js
+    uploadQuota.js
+    suspensions.js
+    moderation.js
+    feedEvents.js
+    liveCounts.js
+    sessions.js
+    authTokens.js
+    /mailer
+      index.js
+      console.js
+      smtp.js
+      templates.js
+    /recommender
+      config.js
+      interactions.js
+      profile.js
+      ranker.js
+      index.js
+    /storage
+      index.js
+      local.js
+      s3.js
+      localRoutes.js
+    trendingScore.js
     trendingJob.js
   /frontend
     package.json
     /src
       main.jsx
       App.jsx
+      api.js
       socket.js
+      /utils
+        feed.js
+        videoRooms.js
+        resumableUpload.js
+        analytics.js
+      /hooks
+        usePaginatedFeed.js
+        useLiveVideo.js
       /pages
         Feed.jsx
         FollowingFeed.jsx
         TrendingFeed.jsx
         Upload.jsx
         Auth.jsx
+        Analytics.jsx
+        TagFeed.jsx
+        Search.jsx
+        Notifications.jsx
+        Inbox.jsx
+        Chat.jsx
+        Moderation.jsx
+        VerifyEmail.jsx
+        ResetPassword.jsx
+        Account.jsx
+        Profile.jsx
       /components
         VideoCard.jsx
+        RichTitle.jsx
+        SearchBar.jsx
+        NotificationBell.jsx
+        ShareToChat.jsx
+        ReportDialog.jsx
+        FollowRequests.jsx
+        Avatar.jsx
+        VideoPlayer.jsx
+        SwipePlayer.jsx
+        CommentDrawer.jsx
         Navbar.jsx
       index.css
     tailwind.config.cjs
@@ -83,7 +195,11 @@ This repository contains a full, minimal but production-minded implementation of
     "socket.io": "^4.8.0",
     "@socket.io/redis-adapter": "^7.0.0",
     "ioredis": "^5.3.1",
-    "node-cron": "^3.0.2"
+    "bullmq": "^5.1.0",
+    "@aws-sdk/client-s3": "^3.500.0",
+    "@aws-sdk/s3-request-presigner": "^3.500.0",
+    "node-cron": "^3.0.2",
+    "nodemailer": "^6.9.8"
   },
   "devDependencies": {
     "nodemon": "^2.0.22"
@@ -99,9 +215,75 @@ This repository contains a full, minimal but production-minded implementation of
 PORT=5000
 MONGO_URI=mongodb://localhost:27017/tiktok
 JWT_SECRET=replace_with_strong_secret
+# access tokens are short-lived JWTs; refresh tokens rotate on every use
+ACCESS_TOKEN_MINUTES=15
+REFRESH_TOKEN_DAYS=30
 REDIS_URL=redis://localhost:6379
 FRONTEND_URL=http://localhost:5173
-TREND_THRESHOLD=50
+# trending: score = sum(weight * 0.5^(age / half-life)) over engagement events
+TREND_HALF_LIFE_HOURS=6
+TREND_WEIGHT_LIKE=1
+TREND_WEIGHT_COMMENT=2
+TREND_WEIGHT_VIEW=0.1
+TREND_WEIGHT_SHARE=3
+TREND_MIN_SCORE=1
+TREND_MAX_SIZE=1000
+# distributed scheduler lock, renewed every third of the TTL while a job runs
+SCHEDULER_LOCK_TTL_MS=30000
+# following timelines: max entries kept per user, and the follower count above
+# which an account's posts are pulled at read time instead of fanned out
+TIMELINE_MAX_LENGTH=800
+TIMELINE_CELEBRITY_FOLLOWERS=10000
+# video processing (requires ffmpeg/ffprobe on PATH)
+MAX_UPLOAD_MB=500
+# profile pictures are cropped to a square JPEG of AVATAR_SIZE pixels
+MAX_AVATAR_MB=5
+AVATAR_SIZE=256
+# resumable uploads: chunk size (>= 5, S3 multipart minimum) and how long an unfinished upload is kept
+UPLOAD_CHUNK_MB=8
+UPLOAD_TTL_HOURS=24
+VIDEO_WORKER=true
+VIDEO_WORKER_CONCURRENCY=1
+# storage: `local` (files under STORAGE_LOCAL_DIR, served via signed /storage URLs) or `s3`
+STORAGE_DRIVER=local
+STORAGE_LOCAL_DIR=storage
+STORAGE_SIGNING_SECRET=replace_with_another_secret
+SIGNED_URL_TTL_SECONDS=3600
+# S3-compatible (AWS, or MinIO locally: S3_ENDPOINT=http://localhost:9000, S3_FORCE_PATH_STYLE=true)
+S3_BUCKET=tiktok-videos
+S3_REGION=us-east-1
+S3_ENDPOINT=
+S3_PUBLIC_ENDPOINT=
+S3_FORCE_PATH_STYLE=false
+S3_ACCESS_KEY_ID=
+S3_SECRET_ACCESS_KEY=
+# For You ranking: optional JSON file overriding recommender/config.js defaults,
+# and how long viewer interactions are kept for profiles and offline evaluation
+RECO_CONFIG=
+RECO_HISTORY_DAYS=90
+# notifications of the same kind on the same target merge while unread and within this window
+NOTIFICATION_GROUP_HOURS=24
+# abuse protection: per-rule overrides of middleware/rateLimit.js, e.g. {"login":{"limit":5}};
+# failed logins (per account and IP, and per account from any IP) before the progressive lockout; daily upload volume per account
+RATE_LIMITS=
+LOGIN_LOCK_AFTER=5
+LOGIN_ACCOUNT_LOCK_AFTER=50
+UPLOAD_DAILY_MB=2048
+# set when running behind a proxy/load balancer so rate limits see client IPs
+TRUST_PROXY=
+# how long feed events are kept for replay to reconnecting clients
+FEED_REPLAY_MINUTES=60
+# how often changed like/comment/viewer counts are pushed to video rooms
+LIVE_COUNTS_MS=2000
+# email (verification, password reset): MAIL_DRIVER=console only logs messages;
+# smtp defaults to a local catcher such as Mailpit on localhost:1025
+MAIL_DRIVER=console
+MAIL_FROM=TikLite <no-reply@localhost>
+SMTP_HOST=localhost
+SMTP_PORT=1025
+SMTP_SECURE=false
+SMTP_USER=
+SMTP_PASS=
 ```
 
 ---
@@ -109,13 +291,13 @@ TREND_THRESHOLD=50
 ### backend/redisClient.js
 
 ```js
-import { createClient } from "ioredis";
+import Redis from "ioredis";
 import dotenv from "dotenv";
 dotenv.config();
 
-const redis = createClient({ url: process.env.REDIS_URL });
+// ioredis connects on construction and queues commands until ready
+const redis = new Redis(process.env.REDIS_URL);
 redis.on("error", (err) => console.error("Redis error", err));
-await redis.connect();
 
 export default redis;
 ```
@@ -126,31 +308,88 @@ export default redis;
 
 ```js
 import { createAdapter } from "@socket.io/redis-adapter";
-import { createClient } from "ioredis";
+import Redis from "ioredis";
+import { socketAuth } from "./middleware/auth.js";
+import { isBlocked, canSeeAuthor } from "./blocks.js";
+import Video, { PUBLISHED } from "./models/Video.js";
+import { findConversationFor, otherParticipant } from "./messaging.js";
+import { limitSocketEvent } from "./middleware/rateLimit.js";
+import { replayFeedEvents, EVERYONE } from "./feedEvents.js";
+import { startLiveCounts, joinPresence, leavePresence, watchedVideos } from "./liveCounts.js";
+
+const isObjectId = (id) => typeof id === "string" && /^[a-f0-9]{24}$/i.test(id);
 
 export async function setupSocket(io, app) {
-  // setup redis adapter for scaling
-  const pubClient = createClient({ url: process.env.REDIS_URL });
+  // setup redis adapter for scaling; room emits (user_<id>, video_<id>)
+  // reach sockets connected to any instance
+  const pubClient = new Redis(process.env.REDIS_URL);
   const subClient = pubClient.duplicate();
-  await pubClient.connect();
-  await subClient.connect();
 
   io.adapter(createAdapter(pubClient, subClient));
 
+  // identity comes from the handshake token, never from client events
+  io.use(socketAuth);
+
   io.on("connection", (socket) => {
     console.log("Socket connected:", socket.id);
 
-    socket.on("register", (userId) => {
-      socket.join(`user_${userId}`); // personal room
-      socket.join("trending"); // all users subscribe to trending
-      console.log(`Socket ${socket.id} joined user_${userId} and trending`);
+    socket.join("trending"); // all users subscribe to trending
+    const feedRooms = ["trending", EVERYONE];
+    if (socket.userId) {
+      socket.join(`user_${socket.userId}`); // personal room, only your own
+      feedRooms.push(`user_${socket.userId}`);
+      console.log(`Socket ${socket.id} joined user_${socket.userId}`);
+    }
+    // catch up on feed events missed while disconnected
+    replayFeedEvents(socket, feedRooms, socket.handshake.auth?.lastSeen)
+      .catch(err => console.error("feed replay error", err));
+
+    // per-video rooms: clients join while a video card (or its comments) is
+    // on screen and receive its comments and live counts (liveCounts.js);
+    // only for videos the viewer could load (published, author not private
+    // to them, no block either way)
+    socket.on("watch-video", limitSocketEvent(socket, "watch-video", async (videoId) => {
+      if (!isObjectId(videoId) || socket.rooms.has(`video_${videoId}`)) return;
+      try {
+        const video = await Video.findOne({ _id: videoId, ...PUBLISHED }).select("user").lean();
+        if (!video || !(await canSeeAuthor(socket.userId, video.user))) return;
+        if (!socket.connected || socket.rooms.has(`video_${videoId}`)) return;
+        socket.join(`video_${videoId}`);
+        await joinPresence(socket.id, videoId);
+      } catch (err) { console.error("watch-video error", err); }
+    }));
+    socket.on("unwatch-video", (videoId) => {
+      if (typeof videoId !== "string" || !socket.rooms.has(`video_${videoId}`)) return;
+      socket.leave(`video_${videoId}`);
+      leavePresence(socket.id, videoId).catch(err => console.error("presence error", err));
+    });
+
+    // rooms are still populated here, unlike in "disconnect"
+    socket.on("disconnecting", () => {
+      for (const videoId of watchedVideos(socket.rooms)) {
+        leavePresence(socket.id, videoId).catch(err => console.error("presence error", err));
+      }
     });
 
+    // typing indicator, relayed to the other participant only
+    socket.on("dm-typing", limitSocketEvent(socket, "dm-typing", async (conversationId) => {
+      if (!socket.userId || !isObjectId(conversationId)) return;
+      try {
+        const conversation = await findConversationFor(conversationId, socket.userId).select("participants").lean();
+        if (!conversation) return;
+        const other = otherParticipant(conversation, socket.userId);
+        if (await isBlocked(socket.userId, other)) return;
+        io.to(`user_${other}`).emit("dm-typing", { conversationId, userId: socket.userId });
+      } catch (err) { console.error("dm-typing error", err); }
+    }));
+
     socket.on("disconnect", () => {
       console.log("Socket disconnected:", socket.id);
     });
   });
 
+  startLiveCounts(io);
+
   // expose io on app for controllers
   app.set("io", io);
 }
@@ -168,23 +407,42 @@ import dotenv from "dotenv";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import { setupSocket } from "./socket.js";
-import cron from "node-cron";
+import { registerJob } from "./scheduler.js";
 import { processTrending } from "./trendingJob.js";
+import { startVideoWorker } from "./videoPipeline.js";
+import storage from "./storage/index.js";
+import localStorageRoutes from "./storage/localRoutes.js";
 
 import authRoutes from "./routes/authRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import videoRoutes from "./routes/videoRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
+import analyticsRoutes from "./routes/analyticsRoutes.js";
+import tagRoutes from "./routes/tagRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
+import moderationRoutes from "./routes/moderationRoutes.js";
+import { cleanupAbandonedUploads } from "./controllers/uploadController.js";
+import { rollupAnalytics } from "./analytics.js";
+import { restoreSuspensions } from "./suspensions.js";
 
 dotenv.config();
 const app = express();
 const httpServer = createServer(app);
 
-app.use(cors({ origin: process.env.FRONTEND_URL }));
+// behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address; rate limits are keyed by it
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+app.use(cors({ origin: process.env.FRONTEND_URL, exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining'] }));
 app.use(express.json());
-app.use('/uploads', express.static('uploads'));
+// the local storage driver serves signed URLs itself; with S3 the bucket does
+if (storage.driver === 'local') app.use('/storage', localStorageRoutes);
 
 mongoose.connect(process.env.MONGO_URI)
   .then(() => console.log('MongoDB connected'))
+  .then(restoreSuspensions)
   .catch(err => console.error(err));
 
 const io = new Server(httpServer, { cors: { origin: process.env.FRONTEND_URL } });
@@ -193,12 +451,22 @@ await setupSocket(io, app);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/videos', videoRoutes);
-
-// Cron job: process trending every 2 minutes
-cron.schedule("*/2 * * * *", async () => {
-  console.log('Running trending job...');
-  await processTrending(app.get('io'));
-});
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+// Cron jobs: every instance registers them, exactly one runs each tick
+registerJob('trending', "*/2 * * * *", () => processTrending(app.get('io')));
+registerJob('upload-cleanup', "*/15 * * * *", cleanupAbandonedUploads);
+registerJob('analytics-rollup', "*/5 * * * *", rollupAnalytics);
+
+// set VIDEO_WORKER=false on instances that should only serve HTTP
+if (process.env.VIDEO_WORKER !== 'false') startVideoWorker(app.get('io'));
 
 const PORT = process.env.PORT || 5000;
 httpServer.listen(PORT, () => console.log(`Server running on ${PORT}`));
@@ -210,15 +478,34 @@ httpServer.listen(PORT, () => console.log(`Server running on ${PORT}`));
 
 ```js
 import mongoose from "mongoose";
+import { foldText } from "../utils/titleTokens.js";
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
+  usernameFolded: String, // lowercase, accents stripped; prefix search (search.js)
+  displayName: { type: String, maxlength: 50 },
+  bio: { type: String, maxlength: 160 },
+  avatarKey: String, // storage key, resolved to a URL by userPresenter.js
   email: { type: String, required: true, unique: true },
+  emailVerified: Boolean, // false until the emailed link is opened; unset on accounts from before verification
   passwordHash: String,
   followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  blocked: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // accounts this user has blocked (blocks.js)
+  private: { type: Boolean, default: false }, // follows need approval (FollowRequest)
+  role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+  suspendedUntil: Date, // set by moderators; mirrored in Redis for the auth middleware (suspensions.js)
 }, { timestamps: true });
 
+userSchema.pre('validate', function (next) {
+  if (this.isModified('username')) this.usernameFolded = foldText(this.username);
+  next();
+});
+
+userSchema.index({ usernameFolded: 1 });
+userSchema.index({ blocked: 1 }); // "who blocked me"
+userSchema.index({ private: 1 }); // private authors hidden from public feeds (blocks.js)
+
 export default mongoose.model('User', userSchema);
 ```
 
@@ -231,348 +518,7004 @@ import mongoose from "mongoose";
 
 const videoSchema = new mongoose.Schema({
   title: String,
-  url: String,
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // parsed from the title when the video is created (tags.js)
+  hashtags: [String], // lowercase, without '#'
+  mentions: [{ _id: false, user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, username: String }],
+  titleWords: [String], // folded words of the title, for prefix search (search.js)
+  // direct uploads start as `uploading`, then `processing`; only `ready` videos
+  // are shown or pushed to followers
+  status: { type: String, enum: ['uploading', 'processing', 'ready', 'failed'], default: 'processing' },
+  error: String,
+  // set with `ready` and cleared once followers, tags and mentions have been
+  // told, so a failed announcement is retried without transcoding again
+  announcePending: Boolean,
+  hidden: { type: Boolean, default: false }, // taken down by a moderator; kept for review/appeal
+  // storage keys, resolved to URLs per request by videoPresenter.js, so records
+  // stay valid whichever storage driver is configured
+  storageKey: String, // original upload (legacy videos are played from it directly)
+  hlsKey: String, // prefix holding master.m3u8 and the rendition folders
+  thumbnailKey: String,
+  duration: Number, // seconds
+  width: Number,
+  height: Number,
   likes: { type: Number, default: 0 },
-  comments: [{ user: String, text: String }],
+  views: { type: Number, default: 0 }, // plays, rolled up from Redis by the analytics job
+  shares: { type: Number, default: 0 },
+  commentsCount: { type: Number, default: 0 }, // comments live in their own collection
+  // what the upload took from the owner's daily quota (uploadQuota.js); given
+  // back if it never becomes a playable video
+  uploadCharge: { _id: false, bytes: Number, day: String },
 }, { timestamps: true });
 
+// feed pagination sorts by (createdAt, _id) newest first
+videoSchema.index({ createdAt: -1, _id: -1 });
+videoSchema.index({ user: 1, createdAt: -1, _id: -1 });
+videoSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+videoSchema.index({ titleWords: 1 });
+
+// videos stored before processing existed have no status and count as ready;
+// hidden videos drop out of every feed, search and broadcast that uses this
+export const PUBLISHED = { status: { $nin: ['uploading', 'processing', 'failed'] }, hidden: { $ne: true } };
+
 export default mongoose.model('Video', videoSchema);
 ```
 
 ---
 
-### backend/controllers/authController.js
+### backend/models/Like.js
 
 ```js
-import User from '../models/User.js';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import dotenv from 'dotenv';
-dotenv.config();
+import mongoose from "mongoose";
 
-export async function register(req, res) {
-  try {
-    const { username, email, password } = req.body;
-    const salt = await bcrypt.genSalt(10);
-    const hash = await bcrypt.hash(password, salt);
-    const user = new User({ username, email, passwordHash: hash });
-    await user.save();
-    res.json({ ok: true });
-  } catch (err) { res.status(400).json({ error: err.message }); }
-}
+// one document per (user, video): the unique index makes liking idempotent
+const likeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', required: true },
+}, { timestamps: true });
 
-export async function login(req, res) {
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials' });
-    const matched = await bcrypt.compare(password, user.passwordHash);
-    if (!matched) return res.status(400).json({ error: 'Invalid credentials' });
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.json({ token, user: { id: user._id, username: user.username } });
-  } catch (err) { res.status(400).json({ error: err.message }); }
+likeSchema.index({ user: 1, video: 1 }, { unique: true });
+
+const Like = mongoose.model('Like', likeSchema);
+
+// adds `likedByMe` to plain (lean) video objects for the given viewer
+export async function withLikedByMe(videos, userId) {
+  if (!userId || !videos.length) return videos.map(v => ({ ...v, likedByMe: false }));
+  const likes = await Like.find({ user: userId, video: { $in: videos.map(v => v._id) } }).select('video').lean();
+  const liked = new Set(likes.map(l => String(l.video)));
+  return videos.map(v => ({ ...v, likedByMe: liked.has(String(v._id)) }));
 }
+
+export default Like;
 ```
 
 ---
 
-### backend/controllers/userController.js
+### backend/models/Comment.js
 
 ```js
-import User from '../models/User.js';
+import mongoose from "mongoose";
 
-export async function follow(req, res) {
-  try {
-    const { userId, targetId } = req.body; // userId follows targetId
-    if (userId === targetId) return res.status(400).json({ error: 'Invalid' });
-    await User.findByIdAndUpdate(targetId, { $addToSet: { followers: userId } });
-    await User.findByIdAndUpdate(userId, { $addToSet: { following: targetId } });
-    res.json({ ok: true });
-  } catch (err) { res.status(400).json({ error: err.message }); }
-}
+// top-level comments have parent=null; replies point at their top-level comment
+const commentSchema = new mongoose.Schema({
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  text: { type: String, required: true, trim: true, maxlength: 500 },
+  likes: { type: Number, default: 0 },
+  replyCount: { type: Number, default: 0 },
+}, { timestamps: true });
 
-export async function getFollowingVideos(req, res) {
-  try {
-    const userId = req.params.userId;
-    const user = await User.findById(userId).select('following');
-    const following = user.following || [];
-    const Video = (await import('../models/Video.js')).default;
-    const videos = await Video.find({ user: { $in: following } }).sort({ createdAt: -1 });
-    res.json(videos);
-  } catch (err) { res.status(400).json({ error: err.message }); }
-}
+// matches the (createdAt, _id) cursor order used by listComments
+commentSchema.index({ video: 1, parent: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('Comment', commentSchema);
 ```
 
 ---
 
-### backend/controllers/videoController.js
+### backend/models/CommentLike.js
 
 ```js
-import Video from '../models/Video.js';
-import User from '../models/User.js';
-import multer from 'multer';
-import fs from 'fs';
+import mongoose from "mongoose";
 
-const upload = multer({ dest: 'uploads/' });
+const commentLikeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', required: true },
+}, { timestamps: true });
 
-export { upload };
+commentLikeSchema.index({ user: 1, comment: 1 }, { unique: true });
 
-export async function uploadVideo(req, res) {
-  try {
-    const { title, userId } = req.body;
-    const file = req.file;
-    if (!file) return res.status(400).json({ error: 'No file' });
+export default mongoose.model('CommentLike', commentLikeSchema);
+```
 
-    const video = new Video({ title, url: `/uploads/${file.filename}`, user: userId });
-    await video.save();
+---
 
-    // notify followers using rooms
-    const io = req.app.get('io');
-    const user = await User.findById(userId).select('followers');
-    (user.followers || []).forEach(f => io.to(`user_${f}`).emit('feed-update-following', video));
+### backend/utils/cursor.js
 
-    res.json(video);
-  } catch (err) { res.status(500).json({ error: err.message }); }
-}
+```js
+// Opaque cursors for newest-first lists ordered by (createdAt desc, _id desc),
+// or another timestamp `field` (e.g. updatedAt for lists that bump items).
+// The _id tie-breaker keeps pages stable when documents share a timestamp.
 
-export async function getAllVideos(req, res) {
-  const videos = await Video.find().sort({ createdAt: -1 }).limit(50);
-  res.json(videos);
+export function encodeCursor(doc, field = 'createdAt') {
+  const payload = { t: new Date(doc[field]).getTime(), id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
 }
 
-export async function likeVideo(req, res) {
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
   try {
-    const video = await Video.findById(req.params.id);
-    video.likes = (video.likes || 0) + 1;
-    await video.save();
-    res.json(video);
-  } catch (err) { res.status(400).json({ error: err.message }); }
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Number.isFinite(t) || typeof id !== 'string') throw new Error();
+    return { createdAt: new Date(t), id };
+  } catch (err) { throw new Error('Invalid cursor'); }
 }
 
-export async function getTrending(req, res) {
-  const threshold = Number(process.env.TREND_THRESHOLD || 50);
-  const videos = await Video.find({ likes: { $gte: threshold } }).sort({ likes: -1 }).limit(20);
-  res.json(videos);
+// mongo filter selecting everything strictly after the cursor position
+export function afterCursor(cursor, field = 'createdAt') {
+  const c = decodeCursor(cursor);
+  if (!c) return {};
+  return { $or: [{ [field]: { $lt: c.createdAt } }, { [field]: c.createdAt, _id: { $lt: c.id } }] };
+}
+
+export function pageLimit(value, fallback = 20, max = 50) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+// expects limit+1 rows so we know whether another page exists
+export function toPage(rows, limit, field = 'createdAt') {
+  const items = rows.slice(0, limit);
+  return { items, nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1], field) : null };
+}
+
+export const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+// plain offset cursors, for lists ranked in memory (search, moderation queue)
+export const encodeOffset = offset => Buffer.from(String(offset)).toString('base64url');
+
+export function decodeOffset(cursor) {
+  if (!cursor) return 0;
+  const o = Number(Buffer.from(String(cursor), 'base64url').toString());
+  if (!Number.isInteger(o) || o < 0) throw new Error('Invalid cursor');
+  return o;
 }
 ```
 
 ---
 
-### backend/routes/authRoutes.js
+### backend/utils/titleTokens.js
 
 ```js
-import express from 'express';
-import { register, login } from '../controllers/authController.js';
-const router = express.Router();
-router.post('/register', register);
-router.post('/login', login);
-export default router;
+// #tags and @mentions as written in a title. Tags are case-insensitive and
+// stored lowercase; usernames are matched as typed.
+const HASHTAG = /#([\p{L}\p{N}_]{1,50})/gu;
+const MENTION = /@([\p{L}\p{N}_.]{1,30})/gu;
+const MAX_TOKENS = 20;
+const MAX_WORDS = 40;
+
+// lowercase, accents stripped; used for both stored search words and queries
+export const foldText = s => String(s || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// searchable words of a title (hashtag and mention text included, without the sigil)
+export function titleWords(title) {
+  return [...new Set(foldText(title).match(/[\p{L}\p{N}_]+/gu) || [])].slice(0, MAX_WORDS);
+}
+
+export function parseTitle(title = '') {
+  const hashtags = new Set();
+  const mentions = new Set();
+  for (const [, tag] of String(title).matchAll(HASHTAG)) hashtags.add(tag.toLowerCase());
+  for (const [, name] of String(title).matchAll(MENTION)) mentions.add(name.replace(/\.+$/, '')); // "@alice." ends a sentence
+  return { hashtags: [...hashtags].slice(0, MAX_TOKENS), mentions: [...mentions].filter(Boolean).slice(0, MAX_TOKENS) };
+}
+
+export const normalizeTag = tag => String(tag).replace(/^#/, '').toLowerCase();
 ```
 
 ---
 
-### backend/routes/userRoutes.js
+### backend/models/VideoStat.js
 
 ```js
-import express from 'express';
-import { follow, getFollowingVideos } from '../controllers/userController.js';
-const router = express.Router();
-router.post('/follow', follow);
-router.get('/following-videos/:userId', getFollowingVideos);
-export default router;
+import mongoose from "mongoose";
+
+// one row per video per UTC day, rolled up from Redis by analytics.js
+const videoStatSchema = new mongoose.Schema({
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', required: true },
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  plays: { type: Number, default: 0 },
+  uniqueViewers: { type: Number, default: 0 },
+  watchSeconds: { type: Number, default: 0 },
+  completes: { type: Number, default: 0 },
+});
+
+videoStatSchema.index({ video: 1, day: 1 }, { unique: true });
+videoStatSchema.index({ creator: 1, day: 1 });
+
+export default mongoose.model('VideoStat', videoStatSchema);
 ```
 
 ---
 
-### backend/routes/videoRoutes.js
+### backend/models/CreatorStat.js
 
 ```js
-import express from 'express';
-import { upload, uploadVideo, getAllVideos, likeVideo, getTrending } from '../controllers/videoController.js';
-const router = express.Router();
-router.post('/upload', upload.single('video'), uploadVideo);
-router.get('/' , getAllVideos);
-router.post('/:id/like', likeVideo);
-router.get('/trending', getTrending);
-export default router;
+import mongoose from "mongoose";
+
+// follower growth per creator per UTC day
+const creatorStatSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  follows: { type: Number, default: 0 },
+  unfollows: { type: Number, default: 0 },
+  followers: { type: Number, default: 0 }, // total at the last rollup of that day
+});
+
+creatorStatSchema.index({ user: 1, day: 1 }, { unique: true });
+
+export default mongoose.model('CreatorStat', creatorStatSchema);
 ```
 
 ---
 
-### backend/trendingJob.js
+### backend/models/Interaction.js
 
 ```js
-import Video from './models/Video.js';
+import mongoose from "mongoose";
 
-export async function processTrending(io) {
-  try {
-    const threshold = Number(process.env.TREND_THRESHOLD || 50);
-    const trending = await Video.find({ likes: { $gte: threshold } }).sort({ likes: -1 }).limit(10);
-    trending.forEach(v => io.to('trending').emit('feed-update-trending', v));
-  } catch (err) { console.error('Trending job error', err); }
-}
+// Append-only log of what each viewer did, used to build recommendation
+// profiles and replayed by scripts/evaluateRecommender.js. `viewer` is
+// `u:<userId>` for accounts and `a:<viewerId>` for anonymous visitors.
+const RETENTION_DAYS = Number(process.env.RECO_HISTORY_DAYS || 90);
+
+const interactionSchema = new mongoose.Schema({
+  viewer: { type: String, required: true },
+  type: { type: String, enum: ['play', 'complete', 'like', 'unlike', 'follow', 'unfollow'], required: true },
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' }, // not set for follows
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  at: { type: Date, default: Date.now },
+});
+
+interactionSchema.index({ viewer: 1, at: -1 });
+interactionSchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 3600 });
+
+export default mongoose.model('Interaction', interactionSchema);
 ```
 
 ---
 
-## Frontend — Files
+### backend/models/Notification.js
 
-### frontend/package.json
+```js
+import mongoose from "mongoose";
 
-```json
-{
-  "name": "tiktok-frontend",
-  "version": "1.0.0",
-  "private": true,
-  "dependencies": {
-    "axios": "^1.4.0",
-    "react": "^18.2.0",
-    "react-dom": "^18.2.0",
-    "react-router-dom": "^6.11.2",
-    "socket.io-client": "^4.8.0"
-  },
-  "devDependencies": {
-    "vite": "^5.1.0",
-    "tailwindcss": "^4.0.0",
-    "postcss": "^8.4.21",
-    "autoprefixer": "^10.4.14"
-  },
-  "scripts": {
-    "dev": "vite",
-    "build": "vite build",
-    "preview": "vite preview"
-  }
-}
+// One row per group of similar events ("alice and 12 others liked your
+// video"); notifications.js merges new events into the recipient's unread
+// row for the same group. updatedAt is the latest event and orders the list.
+const RETENTION_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // recipient
+  type: { type: String, enum: ['follow', 'follow_request', 'follow_accept', 'like', 'comment', 'mention'], required: true },
+  group: { type: String, required: true },
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+  comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+  text: String, // excerpt of the latest comment/mention
+  actors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // latest few, newest first
+  actorCount: { type: Number, default: 1 },
+  read: { type: Boolean, default: false },
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, updatedAt: -1, _id: -1 });
+notificationSchema.index({ user: 1, group: 1, read: 1 });
+notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 3600 });
+
+export default mongoose.model('Notification', notificationSchema);
 ```
 
 ---
 
-### frontend/tailwind.config.cjs
+### backend/models/Conversation.js
 
 ```js
-module.exports = {
-  content: ['./index.html', './src/**/*.{js,jsx}'],
-  theme: { extend: {} },
-  plugins: [],
-};
+import mongoose from "mongoose";
+
+// A one-to-one conversation. `key` is the two participant ids sorted and
+// joined, so there is exactly one conversation per pair.
+const conversationSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  lastMessage: {
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    text: String,
+    video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+  },
+  lastMessageAt: { type: Date, default: Date.now },
+  // participant id -> time they last read up to (read receipts, unread counts)
+  lastRead: { type: Map, of: Date, default: {} },
+}, { timestamps: true });
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+
+export default mongoose.model('Conversation', conversationSchema);
 ```
 
 ---
 
-### frontend/src/index.css
+### backend/models/Message.js
 
-```css
-@tailwind base;
-@tailwind components;
-@tailwind utilities;
+```js
+import mongoose from "mongoose";
 
-html, body, #root { height: 100%; }
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, maxlength: 2000 },
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' }, // a video shared into the chat
+}, { timestamps: true });
 
-/* small UI polish */
-.video-card { @apply rounded-2xl overflow-hidden shadow-lg bg-black text-white; }
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('Message', messageSchema);
 ```
 
 ---
 
-### frontend/src/socket.js
+### backend/models/Report.js
 
 ```js
-import { io } from 'socket.io-client';
-const socket = io(import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000');
-export default socket;
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'nudity', 'violence', 'misinformation', 'copyright', 'other'];
+
+// `targetKey` is video:<id> or user:<id>; the moderation queue groups open reports by it
+const reportSchema = new mongoose.Schema({
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  targetType: { type: String, enum: ['video', 'user'], required: true },
+  targetKey: { type: String, required: true },
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, maxlength: 1000 },
+  status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open' },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolution: String, // the moderation action that closed it
+}, { timestamps: true });
+
+// one open report per reporter and target
+reportSchema.index({ reporter: 1, targetKey: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+reportSchema.index({ status: 1, targetKey: 1 });
+
+export default mongoose.model('Report', reportSchema);
 ```
 
 ---
 
-### frontend/src/main.jsx
+### backend/models/AuditLog.js
 
-```jsx
-import React from 'react';
-import { createRoot } from 'react-dom/client';
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
-import App from './App';
-import './index.css';
+```js
+import mongoose from "mongoose";
 
-createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <App />
-    </BrowserRouter>
-  </React.StrictMode>
-);
+// Append-only record of every moderation action
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: {
+    type: String,
+    enum: ['hide_video', 'unhide_video', 'remove_video', 'suspend_user', 'unsuspend_user', 'dismiss_reports', 'set_role'],
+    required: true,
+  },
+  targetType: { type: String, enum: ['video', 'user'], required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, required: true },
+  note: String,
+  reports: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Report' }], // reports this action closed
+  details: mongoose.Schema.Types.Mixed, // e.g. the removed video's title and owner, suspension length, new role
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
 ```
 
 ---
 
-### frontend/src/App.jsx
+### backend/models/Session.js
 
-```jsx
-import { Link, Routes, Route } from 'react-router-dom';
-import Feed from './pages/Feed';
-import FollowingFeed from './pages/FollowingFeed';
-import TrendingFeed from './pages/TrendingFeed';
-import Upload from './pages/Upload';
-import Auth from './pages/Auth';
-import Navbar from './components/Navbar';
+```js
+import mongoose from "mongoose";
 
-export default function App(){
-  return (
-    <div className="min-h-screen bg-gradient-to-b from-gray-900 via-black to-gray-800 text-white">
-      <Navbar />
-      <div className="container mx-auto px-4 py-6">
-        <Routes>
-          <Route path="/" element={<Feed/>} />
-          <Route path="/following" element={<FollowingFeed/>} />
-          <Route path="/trending" element={<TrendingFeed/>} />
-          <Route path="/upload" element={<Upload/>} />
-          <Route path="/auth" element={<Auth/>} />
-        </Routes>
-      </div>
-    </div>
-  );
-}
+// One login on one device. The refresh token is `<_id>.<secret>`; only a
+// hash of the current secret is kept, and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  previousHash: String, // the secret it replaced, recognised briefly so concurrent refreshes don't look like theft
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: Date,
+  expiresAt: { type: Date, required: true }, // pushed forward on every refresh
+  revokedAt: Date,
+}, { timestamps: true });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+export default mongoose.model('Session', sessionSchema);
 ```
 
 ---
 
-### frontend/src/components/Navbar.jsx
+### backend/models/FollowRequest.js
 
-```jsx
-import { Link } from 'react-router-dom';
-export default function Navbar(){
-  return (
-    <nav className="bg-black/60 backdrop-blur p-4 sticky top-0 z-30">
-      <div className="container mx-auto flex items-center justify-between">
-        <Link to="/" className="text-2xl font-bold">TikLite</Link>
-        <div className="flex gap-4">
-          <Link to="/following" className="hover:opacity-80">Following</Link>
-          <Link to="/trending" className="hover:opacity-80">Trending</Link>
-          <Link to="/upload" className="bg-white text-black px-3 py-1 rounded-full">Upload</Link>
-        </div>
-      </div>
-    </nav>
-  );
-}
+```js
+import mongoose from "mongoose";
+
+// A pending follow of a private account; approving it turns it into a
+// regular follow and deletes the request
+const followRequestSchema = new mongoose.Schema({
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+followRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+followRequestSchema.index({ to: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('FollowRequest', followRequestSchema);
 ```
 
 ---
 
-### frontend/src/components/VideoCard.jsx
+### backend/middleware/auth.js
+
+```js
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { isSuspended } from '../suspensions.js';
+import { isRevoked } from '../sessions.js';
+
+// access tokens carry the user and session ids; tokens issued before
+// sessions existed have no sid and must be replaced by logging in again
+function verify(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (!payload.sid) throw new Error('Session expired');
+  return { userId: String(payload.id), sessionId: String(payload.sid) };
+}
+
+// why a valid token can't be used (logged out, suspended), or null
+async function refusal({ userId, sessionId }) {
+  const [revoked, suspended] = await Promise.all([isRevoked(sessionId), isSuspended(userId)]);
+  if (revoked) return { status: 401, error: 'Session expired' };
+  if (suspended) return { status: 403, error: 'Account suspended' };
+  return null;
+}
+
+function bearer(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// rejects the request unless it carries a valid token of a live session on
+// an account that isn't suspended; sets req.userId and req.sessionId
+export async function requireAuth(req, res, next) {
+  const token = bearer(req);
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+  let auth;
+  try { auth = verify(token); }
+  catch (err) { return res.status(401).json({ error: 'Invalid token' }); }
+  try {
+    const refused = await refusal(auth);
+    if (refused) return res.status(refused.status).json({ error: refused.error });
+  } catch (err) { return res.status(500).json({ error: err.message }); }
+  req.userId = auth.userId;
+  req.sessionId = auth.sessionId;
+  next();
+}
+
+// anonymous callers send no token; a token that is sent must be valid and of
+// a live session (401 otherwise, so the client refreshes it rather than
+// quietly browsing logged out). Suspended accounts continue anonymously.
+export async function optionalAuth(req, res, next) {
+  const token = bearer(req);
+  if (!token) return next();
+  let auth;
+  try { auth = verify(token); }
+  catch (err) { return res.status(401).json({ error: 'Invalid token' }); }
+  let refused;
+  try { refused = await refusal(auth); }
+  catch (err) { return res.status(500).json({ error: err.message }); }
+  if (refused?.status === 401) return res.status(401).json({ error: refused.error });
+  if (!refused) {
+    req.userId = auth.userId;
+    req.sessionId = auth.sessionId;
+  }
+  next();
+}
+
+// after requireAuth; the role is read on every call so demotions apply at once
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await User.findById(req.userId).select('role').lean();
+      if (!user || !roles.includes(user.role)) return res.status(403).json({ error: 'Not allowed' });
+      req.userRole = user.role;
+      next();
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  };
+}
+
+// Socket.IO handshake: anonymous sockets are allowed (trending only),
+// but a token that is present must be usable; clients refresh it and
+// reconnect when told 'Invalid token' or 'Session expired'
+export async function socketAuth(socket, next) {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next();
+  let auth;
+  try { auth = verify(token); }
+  catch (err) { return next(new Error('Invalid token')); }
+  let refused;
+  try { refused = await refusal(auth); }
+  catch (err) { return next(err); }
+  if (refused) return next(new Error(refused.error));
+  socket.userId = auth.userId;
+  socket.sessionId = auth.sessionId;
+  next();
+}
+```
+
+---
+
+### backend/middleware/rateLimit.js
+
+```js
+import crypto from 'crypto';
+import redis from '../redisClient.js';
+
+// Sliding-window limits kept in Redis, so every instance shares the counts.
+// Each window is a ZSET of request timestamps under ratelimit:<rule>:<who>.
+// Rules are per route or socket event; `by` lists which identities must each
+// stay under the limit: 'user' (anonymous callers fall back to their IP) and/or 'ip'.
+export const DEFAULT_RULES = {
+  login: { limit: 10, windowMs: 60 * 1000, by: ['ip'] },
+  register: { limit: 5, windowMs: 60 * 60 * 1000, by: ['ip'] },
+  refresh: { limit: 60, windowMs: 60 * 1000, by: ['ip'] },
+  'verify-email': { limit: 10, windowMs: 60 * 60 * 1000, by: ['ip'] },
+  'password-reset': { limit: 5, windowMs: 60 * 60 * 1000, by: ['ip'] },
+  upload: { limit: 10, windowMs: 60 * 60 * 1000, by: ['user', 'ip'] },
+  like: { limit: 60, windowMs: 60 * 1000, by: ['user'] },
+  comment: { limit: 20, windowMs: 60 * 1000, by: ['user'] },
+  follow: { limit: 30, windowMs: 60 * 1000, by: ['user'] },
+  message: { limit: 30, windowMs: 60 * 1000, by: ['user'] },
+  search: { limit: 60, windowMs: 60 * 1000, by: ['user'] },
+  analytics: { limit: 120, windowMs: 60 * 1000, by: ['user'] },
+  report: { limit: 20, windowMs: 60 * 60 * 1000, by: ['user'] },
+  avatar: { limit: 10, windowMs: 60 * 60 * 1000, by: ['user'] },
+  // socket events
+  'watch-video': { limit: 120, windowMs: 60 * 1000, by: ['user'] },
+  'dm-typing': { limit: 30, windowMs: 60 * 1000, by: ['user'] },
+};
+
+// RATE_LIMITS='{"login":{"limit":5}}' overrides individual settings
+const overrides = process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {};
+export const RULES = Object.fromEntries(Object.entries(DEFAULT_RULES).map(([name, rule]) => [name, { ...rule, ...overrides[name] }]));
+
+// KEYS: window  ARGV: now, windowMs, limit, member
+// returns { allowed, remaining, retryAfterMs }
+redis.defineCommand('slidingWindow', {
+  numberOfKeys: 1,
+  lua: `
+    local now = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local limit = tonumber(ARGV[3])
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+    local count = redis.call('ZCARD', KEYS[1])
+    if count < limit then
+      redis.call('ZADD', KEYS[1], now, ARGV[4])
+      redis.call('PEXPIRE', KEYS[1], window)
+      return {1, limit - count - 1, 0}
+    end
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    return {0, 0, tonumber(oldest[2]) + window - now}`,
+});
+
+// checks every identity against the rule; the first one over the limit wins
+export async function consume(name, identities) {
+  const rule = RULES[name];
+  let result = { allowed: true, remaining: rule.limit, retryAfterMs: 0 };
+  for (const who of identities) {
+    const member = `${Date.now()}:${crypto.randomBytes(4).toString('hex')}`;
+    const [allowed, remaining, retryAfterMs] = await redis.slidingWindow(`ratelimit:${name}:${who}`, Date.now(), rule.windowMs, rule.limit, member);
+    if (!allowed) return { allowed: false, remaining: 0, retryAfterMs };
+    result = { allowed: true, remaining: Math.min(result.remaining, remaining), retryAfterMs: 0 };
+  }
+  return result;
+}
+
+const identities = (rule, userId, ip) => rule.by.map(kind => (kind === 'user' && userId ? `u:${userId}` : `ip:${ip}`))
+  .filter((who, i, all) => all.indexOf(who) === i);
+
+// place after requireAuth/optionalAuth so req.userId is known
+export function rateLimit(name) {
+  const rule = RULES[name];
+  if (!rule) throw new Error(`Unknown rate limit rule: ${name}`);
+  return async (req, res, next) => {
+    try {
+      const { allowed, remaining, retryAfterMs } = await consume(name, identities(rule, req.userId, req.ip));
+      res.set('RateLimit-Limit', String(rule.limit));
+      res.set('RateLimit-Remaining', String(remaining));
+      if (allowed) return next();
+      const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ error: 'Too many requests, slow down', retryAfter });
+    } catch (err) {
+      console.error('Rate limit error', err);
+      next(); // fail open: Redis trouble shouldn't take the API down
+    }
+  };
+}
+
+// wraps a socket event handler; events over the limit are dropped and the
+// client is told when it may try again
+export function limitSocketEvent(socket, name, handler) {
+  const rule = RULES[name];
+  return async (...args) => {
+    try {
+      const { allowed, retryAfterMs } = await consume(name, identities(rule, socket.userId, socket.handshake.address));
+      if (!allowed) return socket.emit('rate-limited', { event: name, retryAfter: Math.ceil(retryAfterMs / 1000) });
+    } catch (err) { console.error('Rate limit error', err); }
+    return handler(...args);
+  };
+}
+```
+
+---
+
+### backend/controllers/authController.js
+
+```js
+import User from '../models/User.js';
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import mailer from '../mailer/index.js';
+import { verificationEmail, passwordResetEmail } from '../mailer/templates.js';
+import { issueToken, consumeToken } from '../authTokens.js';
+import { createSession, rotateSession, revokeSession, revokeUserSessions, SessionError } from '../sessions.js';
+import { loginId, lockedFor, recordFailure, clearFailures } from '../loginLockout.js';
+dotenv.config();
+
+const VERIFY_TTL_S = 48 * 3600;
+const RESET_TTL_S = 3600;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const authUser = user => ({ id: user._id, username: user.username, role: user.role });
+const hashPassword = async password => bcrypt.hash(password, await bcrypt.genSalt(10));
+const weakPassword = password => typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH;
+
+function tooManyAttempts(res, ms) {
+  const retryAfter = Math.ceil(ms / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: `Too many failed attempts, try again in ${retryAfter}s`, retryAfter });
+}
+
+// best effort: a failed send shouldn't fail the request, the user can ask again
+async function sendMail(message) {
+  try { await mailer.send(message); }
+  catch (err) { console.error('mail delivery failed', err); }
+}
+
+async function sendVerification(user) {
+  const token = await issueToken('verify', user._id, VERIFY_TTL_S);
+  await sendMail(verificationEmail(user, token, '48 hours'));
+}
+
+// revokes every session of the user and drops their sockets
+async function endAllSessions(req, userId) {
+  await revokeUserSessions(userId);
+  req.app.get('io').in(`user_${userId}`).disconnectSockets(true);
+}
+
+export async function register(req, res) {
+  try {
+    const { username, email, password } = req.body;
+    if (!EMAIL.test(String(email || ''))) return res.status(400).json({ error: 'Invalid email address' });
+    if (weakPassword(password)) return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    const user = new User({ username, email, passwordHash: await hashPassword(password), emailVerified: false });
+    await user.save();
+    await sendVerification(user);
+    res.status(201).json({ ok: true, verificationSent: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function login(req, res) {
+  try {
+    const { email, password } = req.body;
+    const id = loginId(email);
+    const locked = await lockedFor(id, req.ip);
+    if (locked) return tooManyAttempts(res, locked);
+    const user = await User.findOne({ email });
+    const matched = user && await bcrypt.compare(String(password || ''), user.passwordHash);
+    if (!matched) {
+      // unknown emails count too, so the lockout doesn't reveal which accounts exist
+      const lockMs = await recordFailure(id, req.ip);
+      return lockMs ? tooManyAttempts(res, lockMs) : res.status(400).json({ error: 'Invalid credentials' });
+    }
+    await clearFailures(id, req.ip);
+    if (user.suspendedUntil > Date.now()) {
+      return res.status(403).json({ error: `Account suspended until ${user.suspendedUntil.toISOString()}`, suspendedUntil: user.suspendedUntil });
+    }
+    if (user.emailVerified === false) return res.status(403).json({ error: 'Please confirm your email address first', unverified: true });
+    res.json({ ...(await createSession(user._id, req)), user: authUser(user) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/refresh { refreshToken } — a new access token and the
+// refresh token replacing the one sent
+export async function refresh(req, res) {
+  try {
+    const { userId, ...tokens } = await rotateSession(req.body.refreshToken, req);
+    const user = await User.findById(userId).select('username role').lean();
+    if (!user) return res.status(401).json({ error: 'Session expired' });
+    res.json({ ...tokens, user: authUser(user) });
+  } catch (err) { res.status(err instanceof SessionError ? err.status : 400).json({ error: err.message }); }
+}
+
+// POST /api/auth/logout — ends the session the access token belongs to
+export async function logout(req, res) {
+  try {
+    await revokeSession(req.sessionId);
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/logout-all — every device, this one included
+export async function logoutAll(req, res) {
+  try {
+    await endAllSessions(req, req.userId);
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/verify-email { token }
+export async function verifyEmail(req, res) {
+  try {
+    const userId = await consumeToken('verify', req.body.token);
+    if (!userId) return res.status(400).json({ error: 'This link is invalid or has expired' });
+    await User.updateOne({ _id: userId }, { emailVerified: true });
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/verify-email/resend { email } — answers the same whether or
+// not the address belongs to an unverified account
+export async function resendVerification(req, res) {
+  try {
+    const user = await User.findOne({ email: req.body.email, emailVerified: false }).select('username email').lean();
+    if (user) await sendVerification(user);
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/password-reset { email } — answers the same for unknown addresses
+export async function requestPasswordReset(req, res) {
+  try {
+    const user = await User.findOne({ email: req.body.email }).select('username email').lean();
+    if (user) {
+      const token = await issueToken('reset', user._id, RESET_TTL_S);
+      await sendMail(passwordResetEmail(user, token, '1 hour'));
+    }
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/password-reset/confirm { token, password } — signs out every
+// device; opening the emailed link also proves the address
+export async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
+    if (weakPassword(password)) return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    const userId = await consumeToken('reset', token);
+    if (!userId) return res.status(400).json({ error: 'This link is invalid or has expired' });
+    const user = await User.findByIdAndUpdate(userId, { passwordHash: await hashPassword(password), emailVerified: true }).select('email').lean();
+    if (!user) return res.status(400).json({ error: 'This link is invalid or has expired' });
+    await clearFailures(loginId(user.email));
+    await endAllSessions(req, userId);
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/auth/password { currentPassword, newPassword } — revokes every
+// session, then starts a new one for the caller
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (weakPassword(newPassword)) return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    const user = await User.findById(req.userId);
+    if (!user || !(await bcrypt.compare(String(currentPassword || ''), user.passwordHash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    user.passwordHash = await hashPassword(newPassword);
+    await user.save();
+    await endAllSessions(req, user._id);
+    res.json({ ...(await createSession(user._id, req)), user: authUser(user) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/controllers/userController.js
+
+```js
+import os from 'os';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import User from '../models/User.js';
+import Video, { PUBLISHED } from '../models/Video.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Notification from '../models/Notification.js';
+import storage from '../storage/index.js';
+import { afterCursor, pageLimit, toPage, NEWEST_FIRST, encodeOffset, decodeOffset } from '../utils/cursor.js';
+import { presentVideos } from '../videoPresenter.js';
+import { presentUser, usersById } from '../userPresenter.js';
+import { readTimeline, onFollow, onUnfollow } from '../timeline.js';
+import { recordFollowChange } from '../analytics.js';
+import { logInteraction } from '../recommender/interactions.js';
+import { notify } from '../notifications.js';
+import { isBlocked, hiddenUserIds } from '../blocks.js';
+import { avatarImage, InvalidMediaError } from '../ffmpeg.js';
+
+const ACCOUNT_FIELDS = 'username email emailVerified role private displayName bio avatarKey';
+const PROFILE_TEXT = { displayName: 50, bio: 160 }; // editable text fields and their max length
+const MAX_AVATAR_BYTES = Number(process.env.MAX_AVATAR_MB || 5) * 1024 * 1024;
+const AVATAR_SIZE = Number(process.env.AVATAR_SIZE || 256);
+
+// like video uploads, the mimetype is a first filter and ffmpeg has the final say
+export const avatarUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, /^image\//.test(file.mimetype)),
+});
+
+const validTarget = (userId, targetId) => mongoose.isValidObjectId(targetId) && String(targetId) !== userId;
+
+// the follow itself, for direct follows and approved requests; true when new
+async function addFollow(userId, targetId) {
+  const { modifiedCount } = await User.updateOne({ _id: targetId }, { $addToSet: { followers: userId } });
+  await User.findByIdAndUpdate(userId, { $addToSet: { following: targetId } });
+  await onFollow(userId, targetId);
+  if (modifiedCount) {
+    await recordFollowChange(targetId, 1);
+    await logInteraction({ viewer: `u:${userId}`, type: 'follow', creator: targetId });
+  }
+  return modifiedCount > 0;
+}
+
+async function removeFollow(userId, targetId) {
+  const { modifiedCount } = await User.updateOne({ _id: targetId }, { $pull: { followers: userId } });
+  await User.findByIdAndUpdate(userId, { $pull: { following: targetId } });
+  await onUnfollow(userId, targetId);
+  if (modifiedCount) {
+    await recordFollowChange(targetId, -1);
+    await logInteraction({ viewer: `u:${userId}`, type: 'unfollow', creator: targetId });
+  }
+}
+
+// POST /api/users/follow { targetId } — following a private account sends a
+// request instead; responds with the resulting status (following | requested)
+export async function follow(req, res) {
+  try {
+    const userId = req.userId;
+    const { targetId } = req.body; // caller follows targetId
+    if (!validTarget(userId, targetId)) return res.status(400).json({ error: 'Invalid' });
+    const target = await User.findById(targetId).select('private').lean();
+    if (!target || await isBlocked(userId, targetId)) return res.status(404).json({ error: 'User not found' });
+
+    if (target.private && !(await User.exists({ _id: targetId, followers: userId }))) {
+      try {
+        await FollowRequest.create({ from: userId, to: targetId });
+        await notify(req.app.get('io'), { user: targetId, type: 'follow_request', actor: userId });
+      } catch (err) { if (err.code !== 11000) throw err; }
+      return res.json({ ok: true, status: 'requested' });
+    }
+    if (await addFollow(userId, targetId)) await notify(req.app.get('io'), { user: targetId, type: 'follow', actor: userId });
+    res.json({ ok: true, status: 'following' });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/users/unfollow { targetId } — also withdraws a pending request
+export async function unfollow(req, res) {
+  try {
+    const userId = req.userId;
+    const { targetId } = req.body;
+    if (!validTarget(userId, targetId)) return res.status(400).json({ error: 'Invalid' });
+    await FollowRequest.deleteOne({ from: userId, to: targetId });
+    await removeFollow(userId, targetId);
+    res.json({ ok: true, status: 'none' });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/users/follow-requests?cursor=&limit= — pending requests to follow you
+export async function listFollowRequests(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const rows = await FollowRequest.find({ to: req.userId, ...afterCursor(req.query.cursor) })
+      .sort(NEWEST_FIRST).limit(limit + 1).populate('from', 'username').lean();
+    res.json(toPage(rows, limit));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/users/follow-requests/:id/approve
+export async function approveFollowRequest(req, res) {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.id, to: req.userId }).lean();
+    if (!request) return res.status(404).json({ error: 'Request not found' });
+    if (await addFollow(request.from, req.userId)) {
+      await notify(req.app.get('io'), { user: request.from, type: 'follow_accept', actor: req.userId });
+    }
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/users/follow-requests/:id/reject — the requester isn't told
+export async function rejectFollowRequest(req, res) {
+  try {
+    const { deletedCount } = await FollowRequest.deleteOne({ _id: req.params.id, to: req.userId });
+    if (!deletedCount) return res.status(404).json({ error: 'Request not found' });
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/users/me — your own account settings
+export async function getMe(req, res) {
+  try {
+    const user = await User.findById(req.userId).select(ACCOUNT_FIELDS).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ ...(await presentUser(user)), followRequests: await FollowRequest.countDocuments({ to: req.userId }) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// PATCH /api/users/me { private?, displayName?, bio? } — making the account
+// public approves every pending request
+export async function updateMe(req, res) {
+  try {
+    const updates = {};
+    if (typeof req.body.private === 'boolean') updates.private = req.body.private;
+    for (const [field, max] of Object.entries(PROFILE_TEXT)) {
+      if (typeof req.body[field] !== 'string') continue;
+      const value = req.body[field].trim();
+      if (value.length > max) return res.status(400).json({ error: `${field} can be at most ${max} characters` });
+      updates[field] = value;
+    }
+    const user = await User.findByIdAndUpdate(req.userId, updates, { new: true }).select(ACCOUNT_FIELDS).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (updates.private === false) {
+      for (const request of await FollowRequest.find({ to: req.userId }).lean()) {
+        await FollowRequest.deleteOne({ _id: request._id });
+        if (await addFollow(request.from, req.userId)) {
+          await notify(req.app.get('io'), { user: request.from, type: 'follow_accept', actor: req.userId });
+        }
+      }
+    }
+    res.json(await presentUser(user));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/users/me/avatar (multipart `avatar`) — stored under a new key
+// each time, so URLs of the previous picture stop resolving once it's removed
+export async function uploadAvatar(req, res) {
+  const file = req.file;
+  const out = file && `${file.path}.jpg`;
+  try {
+    if (!file) return res.status(400).json({ error: 'No image file' });
+    await avatarImage(file.path, out, AVATAR_SIZE);
+    const user = await User.findById(req.userId).select('avatarKey');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const previous = user.avatarKey;
+    user.avatarKey = `avatars/${req.userId}/${crypto.randomBytes(8).toString('hex')}.jpg`;
+    await storage.putFile(user.avatarKey, out, 'image/jpeg');
+    await user.save();
+    if (previous) await storage.remove(previous).catch(err => console.error('Avatar cleanup error', err));
+    res.json(await presentUser({ avatarKey: user.avatarKey }));
+  } catch (err) { res.status(err instanceof InvalidMediaError ? 400 : 500).json({ error: err.message }); }
+  finally { if (file) await Promise.all([fs.rm(file.path, { force: true }), fs.rm(out, { force: true })]); }
+}
+
+// DELETE /api/users/me/avatar
+export async function removeAvatar(req, res) {
+  try {
+    const user = await User.findByIdAndUpdate(req.userId, { $unset: { avatarKey: 1 } }).select('avatarKey').lean();
+    if (user?.avatarKey) await storage.remove(user.avatarKey);
+    res.json({ avatarUrl: null });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// the account at `username` as `viewerId` sees it, or null when it doesn't
+// exist or either has blocked the other; private accounts only show their
+// videos and connections to approved followers
+async function findProfile(username, viewerId) {
+  const user = await User.findOne({ username }).select('username displayName bio avatarKey private').lean();
+  if (!user || await isBlocked(viewerId, user._id)) return null;
+  const isMe = String(user._id) === viewerId;
+  const following = !isMe && !!viewerId && !!(await User.exists({ _id: user._id, followers: viewerId }));
+  return { user, isMe, following, canView: !user.private || isMe || following };
+}
+
+// GET /api/users/:username — profile header: counts and the viewer's relationship
+// (self | following | requested | none)
+export async function getProfile(req, res) {
+  try {
+    const profile = await findProfile(req.params.username, req.userId);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+    const { user, isMe, following, canView } = profile;
+    const size = field => ({ $size: { $ifNull: [`$${field}`, []] } });
+    const [[counts], videos, requested, followsYou] = await Promise.all([
+      User.aggregate([{ $match: { _id: user._id } }, { $project: { followers: size('followers'), following: size('following') } }]),
+      Video.countDocuments({ user: user._id, ...PUBLISHED }),
+      req.userId && !isMe && !following ? FollowRequest.exists({ from: req.userId, to: user._id }) : null,
+      req.userId && !isMe ? User.exists({ _id: req.userId, followers: user._id }) : null,
+    ]);
+    res.json({
+      ...(await presentUser(user)),
+      counts: { followers: counts.followers, following: counts.following, videos },
+      relationship: isMe ? 'self' : following ? 'following' : requested ? 'requested' : 'none',
+      followsYou: !!followsYou,
+      canView,
+    });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/users/:username/videos?cursor=&limit=
+export async function getProfileVideos(req, res) {
+  try {
+    const profile = await findProfile(req.params.username, req.userId);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+    if (!profile.canView) return res.status(403).json({ error: 'This account is private' });
+    const limit = pageLimit(req.query.limit, 12);
+    const rows = await Video.find({ user: profile.user._id, ...PUBLISHED, ...afterCursor(req.query.cursor) })
+      .sort(NEWEST_FIRST).limit(limit + 1).lean();
+    const page = toPage(rows, limit);
+    res.json({ ...page, items: await presentVideos(page.items, req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// followers/following are arrays in follow order, so the newest are read from
+// the end; accounts the viewer has a block with are left out of the page
+async function listConnections(req, res, field) {
+  try {
+    const profile = await findProfile(req.params.username, req.userId);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+    if (!profile.canView) return res.status(403).json({ error: 'This account is private' });
+    const limit = pageLimit(req.query.limit);
+    const offset = decodeOffset(req.query.cursor);
+    const [row] = await User.aggregate([
+      { $match: { _id: profile.user._id } },
+      { $project: { ids: { $slice: [{ $reverseArray: { $ifNull: [`$${field}`, []] } }, offset, limit + 1] } } },
+    ]);
+    const ids = (row?.ids || []).slice(0, limit);
+    const hidden = new Set((await hiddenUserIds(req.userId)).map(String));
+    const users = await usersById(ids.filter(id => !hidden.has(String(id))));
+    res.json({
+      items: ids.map(id => users.get(String(id))).filter(Boolean),
+      nextCursor: row?.ids.length > limit ? encodeOffset(offset + limit) : null,
+    });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/users/:username/followers?cursor=&limit=
+export const getFollowers = (req, res) => listConnections(req, res, 'followers');
+
+// GET /api/users/:username/following?cursor=&limit=
+export const getFollowing = (req, res) => listConnections(req, res, 'following');
+
+// POST /api/users/block { targetId } — ends follows and requests both ways
+// and drops the notifications they caused each other
+export async function block(req, res) {
+  try {
+    const userId = req.userId;
+    const { targetId } = req.body;
+    if (!validTarget(userId, targetId)) return res.status(400).json({ error: 'Invalid' });
+    if (!(await User.exists({ _id: targetId }))) return res.status(404).json({ error: 'User not found' });
+    await User.updateOne({ _id: userId }, { $addToSet: { blocked: targetId } });
+    await removeFollow(userId, targetId);
+    await removeFollow(targetId, userId);
+    await FollowRequest.deleteMany({ $or: [{ from: userId, to: targetId }, { from: targetId, to: userId }] });
+    await Notification.deleteMany({ $or: [{ user: userId, actors: targetId }, { user: targetId, actors: userId }] });
+    res.json({ ok: true, blocked: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/users/unblock { targetId } — follows are not restored
+export async function unblock(req, res) {
+  try {
+    const { targetId } = req.body;
+    if (!validTarget(req.userId, targetId)) return res.status(400).json({ error: 'Invalid' });
+    await User.updateOne({ _id: req.userId }, { $pull: { blocked: targetId } });
+    res.json({ ok: true, blocked: false });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/users/blocked — accounts you have blocked
+export async function listBlocked(req, res) {
+  try {
+    const me = await User.findById(req.userId).select('blocked').populate('blocked', 'username').lean();
+    res.json({ items: me?.blocked || [] });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/users/following-videos?cursor=&limit= — read from the precomputed timeline
+export async function getFollowingVideos(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const rows = await readTimeline(req.userId, req.query.cursor, limit + 1);
+    const page = toPage(rows, limit);
+    res.json({ ...page, items: await presentVideos(page.items, req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/controllers/videoController.js
+
+```js
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import Video, { PUBLISHED } from '../models/Video.js';
+import Like from '../models/Like.js';
+import Comment from '../models/Comment.js';
+import CommentLike from '../models/CommentLike.js';
+import storage, { SIGNED_URL_TTL } from '../storage/index.js';
+import { recordEngagement, rankingPage, removeFromTrending } from '../trendingScore.js';
+import { afterCursor, pageLimit, toPage, NEWEST_FIRST } from '../utils/cursor.js';
+import { enqueueVideo } from '../videoPipeline.js';
+import { presentVideo, presentVideos, readPlaylistPass } from '../videoPresenter.js';
+import { titleFields } from '../tags.js';
+import { checkUploadQuota, releaseUploadBytes, refundVideoUpload } from '../uploadQuota.js';
+import { forYouPage } from '../recommender/index.js';
+import { logInteraction } from '../recommender/interactions.js';
+import { viewerKeyOf } from '../analytics.js';
+import { notify } from '../notifications.js';
+import { markCountsChanged } from '../liveCounts.js';
+import { canSeeAuthor, hiddenAuthorIds, notBy } from '../blocks.js';
+import multer from 'multer';
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 500) * 1024 * 1024;
+const sourceKey = id => `videos/${id}/source`;
+
+// multipart uploads land in a temp dir and are then handed to storage;
+// the mimetype check is only a first filter, ffprobe has the final say
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, /^video\//.test(file.mimetype)),
+});
+
+export { upload };
+
+// stores the raw file and queues it for processing; followers are notified
+// by the worker once the video is ready
+export async function uploadVideo(req, res) {
+  const file = req.file;
+  let charge = null, saved = false;
+  try {
+    const { title } = req.body;
+    if (!file) return res.status(400).json({ error: 'No video file' });
+    charge = await checkUploadQuota(res, req.userId, file.size);
+    if (!charge) return;
+
+    const video = new Video({ title, ...(await titleFields(title)), user: req.userId, status: 'processing', uploadCharge: charge });
+    video.storageKey = sourceKey(video._id);
+    await storage.putFile(video.storageKey, file.path, file.mimetype);
+    await video.save();
+    saved = true;
+    await enqueueVideo(video._id);
+    res.status(202).json(await presentVideo(video.toObject()));
+  } catch (err) {
+    if (charge && !saved) await releaseUploadBytes(req.userId, charge.bytes, charge.day);
+    res.status(500).json({ error: err.message });
+  }
+  finally { if (file) await fs.rm(file.path, { force: true }); }
+}
+
+// POST /api/videos/upload-url { title, contentType, size } — the client then
+// PUTs the file straight to storage and calls POST /api/videos/:id/complete
+export async function createUploadUrl(req, res) {
+  try {
+    const { title, contentType, size } = req.body;
+    if (!/^video\//.test(contentType || '')) return res.status(400).json({ error: 'Only video files are accepted' });
+    if (!(Number(size) > 0) || Number(size) > MAX_UPLOAD_BYTES) return res.status(413).json({ error: 'File too large' });
+    const charge = await checkUploadQuota(res, req.userId, Number(size));
+    if (!charge) return;
+    const video = new Video({ title, ...(await titleFields(title)), user: req.userId, status: 'uploading', uploadCharge: charge });
+    video.storageKey = sourceKey(video._id);
+    await video.save();
+    const upload = await storage.presignUpload(video.storageKey, contentType, { expiresIn: 15 * 60 });
+    res.status(201).json({ videoId: video._id, upload });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function completeUpload(req, res) {
+  try {
+    const video = await Video.findOne({ _id: req.params.id, user: req.userId, status: 'uploading' });
+    if (!video) return res.status(404).json({ error: 'Upload not found' });
+    const info = await storage.stat(video.storageKey);
+    if (!info) return res.status(400).json({ error: 'File has not been uploaded yet' });
+    if (info.size > MAX_UPLOAD_BYTES) {
+      await storage.remove(video.storageKey);
+      await refundVideoUpload(video._id);
+      await video.deleteOne();
+      return res.status(413).json({ error: 'File too large' });
+    }
+    video.status = 'processing';
+    await video.save();
+    await enqueueVideo(video._id);
+    res.status(202).json(await presentVideo(video.toObject()));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// removes a video's stored files and engagement; shared with moderator takedowns
+export async function destroyVideo(video) {
+  await storage.removePrefix(`videos/${video._id}/`);
+  if (video.storageKey && !video.storageKey.startsWith(`videos/${video._id}/`)) await storage.remove(video.storageKey); // migrated legacy file
+  const comments = await Comment.find({ video: video._id }).select('_id').lean();
+  await Promise.all([
+    CommentLike.deleteMany({ comment: { $in: comments.map(c => c._id) } }),
+    Comment.deleteMany({ video: video._id }),
+    Like.deleteMany({ video: video._id }),
+    removeFromTrending(video._id),
+  ]);
+  await Video.deleteOne({ _id: video._id }); // stale timeline entries are skipped on read
+}
+
+// DELETE /api/videos/:id — owner only
+export async function deleteVideo(req, res) {
+  try {
+    const video = await Video.findById(req.params.id).lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (String(video.user) !== req.userId) return res.status(403).json({ error: 'Not allowed' });
+    await destroyVideo(video);
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/videos/:id/hls/<playlist>.m3u8[?pass=] — playlists are served by the
+// API so that each segment line can be rewritten to a short-lived signed URL;
+// nested playlists stay relative and resolve back to this route. Without a
+// pass (see videoPresenter.js) the caller must be allowed to see the author;
+// a staff pass also opens hidden videos. Passes are handed on to nested playlists.
+export async function getPlaylist(req, res) {
+  try {
+    const name = req.params[0];
+    if (!/^([\w-]+\/)?[\w-]+\.m3u8$/.test(name)) return res.status(404).end();
+    const pass = readPlaylistPass(req.query.pass, req.params.id);
+    const video = await Video.findOne({ _id: req.params.id, ...(pass?.staff ? {} : PUBLISHED) }).select('hlsKey user').lean();
+    if (!video?.hlsKey) return res.status(404).end();
+    if (!pass && !(await canSeeAuthor(req.userId, video.user))) return res.status(404).end();
+    const key = `${video.hlsKey}/${name}`;
+    const dir = path.posix.dirname(key);
+    const nested = line => (pass ? `${line}?pass=${encodeURIComponent(req.query.pass)}` : line);
+    const lines = await Promise.all((await storage.getText(key)).split('\n').map(line =>
+      !line || line.startsWith('#') ? line
+        : line.endsWith('.m3u8') ? nested(line)
+          : storage.signedUrl(path.posix.join(dir, line), { expiresIn: SIGNED_URL_TTL })));
+    res.type('application/vnd.apple.mpegurl').set('Cache-Control', 'private, max-age=60').send(lines.join('\n'));
+  } catch (err) { res.status(404).end(); }
+}
+
+// GET /api/videos?cursor=&limit= — newest first; uploads arriving mid-scroll
+// land before the cursor and never shift later pages
+export async function getAllVideos(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const hidden = await hiddenAuthorIds(req.userId);
+    const rows = await Video.find({ ...PUBLISHED, ...notBy(hidden), ...afterCursor(req.query.cursor) }).sort(NEWEST_FIRST).limit(limit + 1).lean();
+    const page = toPage(rows, limit);
+    res.json({ ...page, items: await presentVideos(page.items, req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// idempotent: the unique (user, video) index rejects a second like,
+// and the counter only moves when a Like document was actually created
+export async function likeVideo(req, res) {
+  try {
+    const target = await Video.findOne({ _id: req.params.id, ...PUBLISHED }).select('user').lean();
+    if (!target || !(await canSeeAuthor(req.userId, target.user))) return res.status(404).json({ error: 'Video not found' });
+    let created = true;
+    try { await Like.create({ user: req.userId, video: req.params.id }); }
+    catch (err) { if (err.code === 11000) created = false; else throw err; }
+    const video = created
+      ? await Video.findByIdAndUpdate(req.params.id, { $inc: { likes: 1 } }, { new: true }).lean()
+      : await Video.findById(req.params.id).lean();
+    if (created) {
+      markCountsChanged(video._id);
+      await recordEngagement(req.params.id, 'like');
+      await logInteraction({ viewer: `u:${req.userId}`, type: 'like', video: video._id, creator: video.user });
+      await notify(req.app.get('io'), { user: video.user, type: 'like', actor: req.userId, video: video._id });
+    }
+    res.json({ ...(await presentVideo(video)), likedByMe: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function unlikeVideo(req, res) {
+  try {
+    if (!(await Video.exists({ _id: req.params.id, ...PUBLISHED }))) return res.status(404).json({ error: 'Video not found' });
+    const { deletedCount } = await Like.deleteOne({ user: req.userId, video: req.params.id });
+    const video = deletedCount
+      ? await Video.findByIdAndUpdate(req.params.id, { $inc: { likes: -1 } }, { new: true }).lean()
+      : await Video.findById(req.params.id).lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (deletedCount) {
+      markCountsChanged(video._id);
+      await recordEngagement(req.params.id, 'like', -1);
+      await logInteraction({ viewer: `u:${req.userId}`, type: 'unlike', video: video._id, creator: video.user });
+    }
+    res.json({ ...(await presentVideo(video)), likedByMe: false });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function shareVideo(req, res) {
+  try {
+    const video = await Video.findOneAndUpdate({ _id: req.params.id, ...PUBLISHED }, { $inc: { shares: 1 } }, { new: true }).lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    await recordEngagement(req.params.id, 'share');
+    res.json({ _id: video._id, shares: video.shares });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+function decodeRankCursor(cursor) {
+  if (!cursor) return { v: null, o: 0 };
+  try {
+    const { v, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Number.isInteger(o) || o < 0) throw new Error();
+    return { v, o };
+  } catch (err) { throw new Error('Invalid cursor'); }
+}
+
+// GET /api/videos/for-you?cursor=&limit=&explain=1 — personalized ranking for
+// the account or anonymous viewer (X-Viewer-Id); `explain` adds the score and
+// its per-signal breakdown to each item
+export async function getForYou(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const { v, o } = decodeRankCursor(req.query.cursor);
+    const { version, offset, entries } = await forYouPage(viewerKeyOf(req), req.userId, v, o, limit + 1);
+    const page = entries.slice(0, limit);
+    const videos = await Video.find({ _id: { $in: page.map(e => e.id) }, ...PUBLISHED, ...notBy(await hiddenAuthorIds(req.userId)) }).lean();
+    const byId = new Map(videos.map(x => [String(x._id), x]));
+    const explain = req.query.explain === '1';
+    const ranked = page.filter(e => byId.has(e.id)).map(({ id, score, reasons, sources, explore, rewatch }) =>
+      explain ? { ...byId.get(id), recommendation: { score, reasons, sources, explore, rewatch } } : byId.get(id));
+    const nextCursor = entries.length > limit
+      ? Buffer.from(JSON.stringify({ v: version, o: offset + limit })).toString('base64url')
+      : null;
+    res.json({ items: await presentVideos(ranked, req.userId), nextCursor });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/videos/trending?cursor=&limit= — served from the trending ZSET in
+// score order; the cursor pins the frozen ranking the first page came from
+export async function getTrending(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const { v, o } = decodeRankCursor(req.query.cursor);
+    const { version, entries } = await rankingPage(v, o, limit + 1);
+    const page = entries.slice(0, limit);
+    const videos = await Video.find({ _id: { $in: page.map(t => t.id) }, ...PUBLISHED, ...notBy(await hiddenAuthorIds(req.userId)) }).lean();
+    const byId = new Map(videos.map(x => [String(x._id), x]));
+    const ranked = page.filter(t => byId.has(t.id)).map(t => ({ ...byId.get(t.id), trendingScore: t.score }));
+    const nextCursor = entries.length > limit
+      ? Buffer.from(JSON.stringify({ v: version, o: o + limit })).toString('base64url')
+      : null;
+    res.json({ items: await presentVideos(ranked, req.userId), nextCursor });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/controllers/commentController.js
+
+```js
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import CommentLike from '../models/CommentLike.js';
+import Video, { PUBLISHED } from '../models/Video.js';
+import { afterCursor, pageLimit, toPage, NEWEST_FIRST } from '../utils/cursor.js';
+import { recordEngagement } from '../trendingScore.js';
+import { notify, notifyMentions } from '../notifications.js';
+import { markCountsChanged } from '../liveCounts.js';
+import { canSeeAuthor, hiddenUserIds, notBy, blockRelations } from '../blocks.js';
+
+const AUTHOR_FIELDS = 'username';
+
+async function withCommentLikedByMe(comments, userId) {
+  if (!userId || !comments.length) return comments.map(c => ({ ...c, likedByMe: false }));
+  const likes = await CommentLike.find({ user: userId, comment: { $in: comments.map(c => c._id) } }).select('comment').lean();
+  const liked = new Set(likes.map(l => String(l.comment)));
+  return comments.map(c => ({ ...c, likedByMe: liked.has(String(c._id)) }));
+}
+
+// GET /api/videos/:id/comments?parent=&cursor=&limit=
+export async function listComments(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const parent = req.query.parent || null;
+    if (parent && !mongoose.isValidObjectId(parent)) return res.status(400).json({ error: 'Invalid parent comment' });
+    const video = await Video.findOne({ _id: req.params.id, ...PUBLISHED }).select('user').lean();
+    if (!video || !(await canSeeAuthor(req.userId, video.user))) return res.status(404).json({ error: 'Video not found' });
+    const hidden = await hiddenUserIds(req.userId);
+    const rows = await Comment.find({ video: req.params.id, parent, ...notBy(hidden), ...afterCursor(req.query.cursor) })
+      .sort(NEWEST_FIRST).limit(limit + 1).populate('user', AUTHOR_FIELDS).lean();
+    const page = toPage(rows, limit);
+    res.json({ ...page, items: await withCommentLikedByMe(page.items, req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/videos/:id/comments { text, parentId? }
+export async function createComment(req, res) {
+  try {
+    const { text, parentId } = req.body;
+    if (!text || !String(text).trim()) return res.status(400).json({ error: 'Comment text required' });
+    const video = await Video.findOne({ _id: req.params.id, ...PUBLISHED }).select('_id user');
+    if (!video || !(await canSeeAuthor(req.userId, video.user))) return res.status(404).json({ error: 'Video not found' });
+
+    let parent = null;
+    if (parentId) {
+      const p = await Comment.findOne({ _id: parentId, video: video._id }).select('parent');
+      if (!p) return res.status(404).json({ error: 'Parent comment not found' });
+      parent = p.parent || p._id; // replies are kept one level deep
+    }
+
+    const created = await Comment.create({ video: video._id, user: req.userId, parent, text });
+    if (parent) await Comment.updateOne({ _id: parent }, { $inc: { replyCount: 1 } });
+    await Video.updateOne({ _id: video._id }, { $inc: { commentsCount: 1 } });
+    markCountsChanged(video._id);
+    await recordEngagement(video._id, 'comment');
+    const comment = { ...(await created.populate('user', AUTHOR_FIELDS)).toObject(), likedByMe: false };
+
+    // push to everyone currently viewing the video, except users with a block against the author
+    const io = req.app.get('io');
+    const blocked = [...(await blockRelations([req.userId])).keys()];
+    io.to(`video_${video._id}`).except(blocked.map(u => `user_${u}`)).emit('comment-created', comment);
+    await notify(io, { user: video.user, type: 'comment', actor: req.userId, video: video._id, comment: created._id, text });
+    await notifyMentions(io, { text, actor: req.userId, video: video._id, comment: created._id, except: [video.user] });
+    res.status(201).json(comment);
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// DELETE /api/videos/:id/comments/:commentId — by the comment author or the video owner
+export async function deleteComment(req, res) {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, video: req.params.id });
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    const video = await Video.findById(comment.video).select('user');
+    const allowed = String(comment.user) === req.userId || String(video?.user) === req.userId;
+    if (!allowed) return res.status(403).json({ error: 'Not allowed' });
+
+    let removed = 1;
+    if (comment.parent) {
+      await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+    } else {
+      const replies = await Comment.find({ parent: comment._id }).select('_id').lean();
+      await Comment.deleteMany({ parent: comment._id });
+      await CommentLike.deleteMany({ comment: { $in: replies.map(r => r._id) } });
+      removed += replies.length;
+    }
+    await comment.deleteOne();
+    await CommentLike.deleteMany({ comment: comment._id });
+    await Video.updateOne({ _id: comment.video }, { $inc: { commentsCount: -removed } });
+    markCountsChanged(comment.video);
+    await recordEngagement(comment.video, 'comment', -removed);
+
+    // same audience as comment-created: users with a block against the author are skipped
+    const blocked = [...(await blockRelations([comment.user])).keys()];
+    req.app.get('io').to(`video_${comment.video}`).except(blocked.map(u => `user_${u}`)).emit('comment-deleted', { videoId: String(comment.video), commentId: String(comment._id), parent: comment.parent });
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// the comment, if it belongs to :id and that video is one the viewer could
+// load; otherwise responds 404 and returns null
+async function visibleComment(req, res) {
+  const { id, commentId } = req.params;
+  const comment = mongoose.isValidObjectId(commentId) && mongoose.isValidObjectId(id)
+    && await Comment.findOne({ _id: commentId, video: id }).select('_id').lean();
+  if (!comment) { res.status(404).json({ error: 'Comment not found' }); return null; }
+  const video = await Video.findOne({ _id: id, ...PUBLISHED }).select('user').lean();
+  if (!video || !(await canSeeAuthor(req.userId, video.user))) { res.status(404).json({ error: 'Video not found' }); return null; }
+  return comment;
+}
+
+export async function likeComment(req, res) {
+  try {
+    if (!(await visibleComment(req, res))) return;
+    let created = true;
+    try { await CommentLike.create({ user: req.userId, comment: req.params.commentId }); }
+    catch (err) { if (err.code === 11000) created = false; else throw err; }
+    const comment = await Comment.findOneAndUpdate({ _id: req.params.commentId }, { $inc: { likes: created ? 1 : 0 } }, { new: true }).lean();
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    res.json({ _id: comment._id, likes: comment.likes, likedByMe: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function unlikeComment(req, res) {
+  try {
+    if (!(await visibleComment(req, res))) return;
+    const { deletedCount } = await CommentLike.deleteOne({ user: req.userId, comment: req.params.commentId });
+    const comment = await Comment.findOneAndUpdate({ _id: req.params.commentId }, { $inc: { likes: deletedCount ? -1 : 0 } }, { new: true }).lean();
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    res.json({ _id: comment._id, likes: comment.likes, likedByMe: false });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/controllers/uploadController.js
+
+```js
+import crypto from 'crypto';
+import redis from '../redisClient.js';
+import Video from '../models/Video.js';
+import storage from '../storage/index.js';
+import { enqueueVideo } from '../videoPipeline.js';
+import { presentVideo } from '../videoPresenter.js';
+import { titleFields } from '../tags.js';
+import { checkUploadQuota, releaseUploadBytes, refundVideoUpload } from '../uploadQuota.js';
+
+// Resumable uploads: the client creates a session, PUTs fixed-size chunks in
+// any order (each with a SHA-256 checksum), can ask which chunks the server
+// already has after a reconnect or reload, and finally asks the server to
+// assemble them. Session state is in Redis and chunks go through the storage
+// driver, so any instance can take any request.
+export const CHUNK_SIZE = Math.max(5, Number(process.env.UPLOAD_CHUNK_MB || 8)) * 1024 * 1024;
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 500) * 1024 * 1024;
+const TTL_S = Number(process.env.UPLOAD_TTL_HOURS || 24) * 3600;
+const ACTIVE_KEY = 'uploads:active'; // ZSET id -> createdAt, scanned by the cleanup job
+// HASH id -> { user, bytes, day } quota charge; unlike the session it doesn't
+// expire, so abandoned uploads can still be refunded by the cleanup job
+const CHARGES_KEY = 'uploads:charges';
+
+const sessionKey = id => `upload:${id}`;
+const chunksKey = id => `upload:${id}:chunks`;
+const chunkStorageKey = (id, index) => `uploads-tmp/${id}/${String(index).padStart(6, '0')}`;
+
+async function loadSession(req, res) {
+  const session = await redis.hgetall(sessionKey(req.params.id));
+  if (!session.user) { res.status(404).json({ error: 'Upload not found or expired' }); return null; }
+  if (session.user !== req.userId) { res.status(403).json({ error: 'Not allowed' }); return null; }
+  return { ...session, size: Number(session.size), totalChunks: Number(session.totalChunks), chunkSize: Number(session.chunkSize) };
+}
+
+async function status(id, session) {
+  const received = (await redis.smembers(chunksKey(id))).map(Number).sort((a, b) => a - b);
+  return { uploadId: id, size: session.size, chunkSize: session.chunkSize, totalChunks: session.totalChunks, received };
+}
+
+// POST /api/uploads { filename, size, type, title }
+export async function createUpload(req, res) {
+  try {
+    const { filename, type, title } = req.body;
+    const size = Number(req.body.size);
+    if (!/^video\//.test(type || '')) return res.status(400).json({ error: 'Only video files are accepted' });
+    if (!(size > 0)) return res.status(400).json({ error: 'Invalid size' });
+    if (size > MAX_UPLOAD_BYTES) return res.status(413).json({ error: `Videos are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` });
+    const charge = await checkUploadQuota(res, req.userId, size);
+    if (!charge) return;
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const session = { user: req.userId, filename: String(filename || '').slice(0, 200), type, title: String(title || '').slice(0, 300), size, chunkSize: CHUNK_SIZE, totalChunks: Math.ceil(size / CHUNK_SIZE), createdAt: Date.now() };
+    await redis.multi()
+      .hset(sessionKey(id), session)
+      .expire(sessionKey(id), TTL_S)
+      .zadd(ACTIVE_KEY, session.createdAt, id)
+      .hset(CHARGES_KEY, id, JSON.stringify({ user: req.userId, ...charge }))
+      .exec();
+    res.status(201).json(await status(id, session));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/uploads/:id — which chunks the server already has
+export async function getUpload(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (session) res.json(await status(req.params.id, session));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// PUT /api/uploads/:id/chunks/:index (raw body, X-Chunk-SHA256: hex digest)
+export async function putChunk(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) return res.status(400).json({ error: 'Invalid chunk index' });
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const expectedLength = index === session.totalChunks - 1 ? session.size - session.chunkSize * index : session.chunkSize;
+    if (body.length !== expectedLength) return res.status(400).json({ error: `Chunk ${index} must be ${expectedLength} bytes` });
+    const digest = crypto.createHash('sha256').update(body).digest('hex');
+    if (digest !== String(req.get('X-Chunk-SHA256') || '').toLowerCase()) return res.status(422).json({ error: 'Checksum mismatch, resend the chunk' });
+
+    await storage.putBuffer(chunkStorageKey(req.params.id, index), body, 'application/octet-stream');
+    await redis.multi()
+      .sadd(chunksKey(req.params.id), index)
+      .expire(chunksKey(req.params.id), TTL_S)
+      .expire(sessionKey(req.params.id), TTL_S) // activity keeps the session alive
+      .exec();
+    res.json({ index, received: await redis.scard(chunksKey(req.params.id)) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+}
+
+// `refund` gives the quota back (aborted or abandoned); completed uploads
+// hand their charge over to the video instead
+async function discard(id, { refund = false } = {}) {
+  const charge = await redis.hget(CHARGES_KEY, id);
+  await storage.removePrefix(`uploads-tmp/${id}/`);
+  await redis.multi().del(sessionKey(id), chunksKey(id), `${sessionKey(id)}:completing`).zrem(ACTIVE_KEY, id).hdel(CHARGES_KEY, id).exec();
+  if (refund && charge) {
+    const { user, bytes, day } = JSON.parse(charge);
+    await releaseUploadBytes(user, bytes, day);
+  }
+}
+
+// POST /api/uploads/:id/complete — assembles the chunks and queues processing
+export async function completeUpload(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    const id = req.params.id;
+    const received = await redis.scard(chunksKey(id));
+    if (received !== session.totalChunks) return res.status(409).json({ error: 'Upload incomplete', ...(await status(id, session)) });
+    const locked = await redis.set(`${sessionKey(id)}:completing`, '1', 'EX', 600, 'NX');
+    if (locked !== 'OK') return res.status(409).json({ error: 'Upload is already being completed' });
+
+    const charge = await redis.hget(CHARGES_KEY, id);
+    const video = new Video({ title: session.title, ...(await titleFields(session.title)), user: req.userId, status: 'processing' });
+    if (charge) { const { bytes, day } = JSON.parse(charge); video.uploadCharge = { bytes, day }; }
+    video.storageKey = `videos/${video._id}/source`;
+    const parts = Array.from({ length: session.totalChunks }, (_, i) => chunkStorageKey(id, i));
+    // on failure the chunks stay, so the client can simply complete again
+    try {
+      await storage.concat(parts, video.storageKey, session.type);
+      await video.save();
+      await enqueueVideo(video._id);
+    } catch (err) {
+      await storage.remove(video.storageKey).catch(() => {});
+      await Video.deleteOne({ _id: video._id }).catch(() => {});
+      await redis.del(`${sessionKey(id)}:completing`);
+      throw err;
+    }
+    await discard(id);
+    res.status(202).json(await presentVideo(video.toObject()));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+}
+
+// DELETE /api/uploads/:id — abort; takes the completion lock so an abort and
+// a completion never both run (the charge would be refunded and then kept)
+export async function abortUpload(req, res) {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    const locked = await redis.set(`${sessionKey(req.params.id)}:completing`, '1', 'EX', 600, 'NX');
+    if (locked !== 'OK') return res.status(409).json({ error: 'Upload is being completed' });
+    await discard(req.params.id, { refund: true });
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// scheduled: drops chunks of uploads nobody finished, and direct uploads
+// (POST /api/videos/upload-url) that never completed
+export async function cleanupAbandonedUploads() {
+  const cutoff = Date.now() - TTL_S * 1000;
+  const ids = await redis.zrangebyscore(ACTIVE_KEY, '-inf', cutoff);
+  for (const id of ids) {
+    // a session still present was touched recently (its TTL is refreshed per chunk)
+    if (await redis.exists(sessionKey(id))) { await redis.zadd(ACTIVE_KEY, Date.now(), id); continue; }
+    await discard(id, { refund: true });
+  }
+  const stale = await Video.find({ status: 'uploading', createdAt: { $lt: new Date(cutoff) } }).select('_id').lean();
+  for (const v of stale) {
+    await storage.removePrefix(`videos/${v._id}/`);
+    await refundVideoUpload(v._id);
+    await Video.deleteOne({ _id: v._id });
+  }
+  if (ids.length || stale.length) console.log(`Upload cleanup: ${ids.length} sessions, ${stale.length} direct uploads`);
+}
+```
+
+---
+
+### backend/controllers/analyticsController.js
+
+```js
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import VideoStat from '../models/VideoStat.js';
+import CreatorStat from '../models/CreatorStat.js';
+import { ingestEvents, viewerKeyOf, uniqueViewerKeyOf, dayOf } from '../analytics.js';
+
+const MAX_EVENTS = 50;
+
+// POST /api/analytics/events { viewerId, events: [{ videoId, type, watched? }] }
+// logged-in viewers are deduplicated by account, anonymous ones by IP;
+// viewerId only keys the anonymous visitor's For You history
+export async function postEvents(req, res) {
+  try {
+    const events = Array.isArray(req.body.events) ? req.body.events.slice(0, MAX_EVENTS) : [];
+    await ingestEvents(events, viewerKeyOf(req, req.body.viewerId), uniqueViewerKeyOf(req));
+    res.status(202).json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+function dayRange(query) {
+  const days = Math.min(Math.max(parseInt(query.days, 10) || 30, 1), 365);
+  const list = Array.from({ length: days }, (_, i) => dayOf(new Date(Date.now() - (days - 1 - i) * 24 * 3600 * 1000)));
+  return { from: list[0], list };
+}
+
+const summarize = t => ({
+  plays: t.plays,
+  uniqueViewers: t.uniqueViewers,
+  avgWatchSeconds: t.plays ? t.watchSeconds / t.plays : 0,
+  completionRate: t.plays ? t.completes / t.plays : 0,
+});
+
+// GET /api/analytics/me?days=30 — the caller's channel over time
+export async function getCreatorAnalytics(req, res) {
+  try {
+    const { from, list } = dayRange(req.query);
+    const creator = new mongoose.Types.ObjectId(req.userId);
+    const [daily, perVideo, growth] = await Promise.all([
+      VideoStat.aggregate([
+        { $match: { creator, day: { $gte: from } } },
+        { $group: { _id: '$day', plays: { $sum: '$plays' }, uniqueViewers: { $sum: '$uniqueViewers' }, watchSeconds: { $sum: '$watchSeconds' }, completes: { $sum: '$completes' } } },
+      ]),
+      VideoStat.aggregate([
+        { $match: { creator, day: { $gte: from } } },
+        { $group: { _id: '$video', plays: { $sum: '$plays' }, uniqueViewers: { $sum: '$uniqueViewers' }, watchSeconds: { $sum: '$watchSeconds' }, completes: { $sum: '$completes' } } },
+        { $sort: { plays: -1 } },
+        { $limit: 20 },
+      ]),
+      CreatorStat.find({ user: creator, day: { $gte: from } }).lean(),
+    ]);
+
+    const byDay = new Map(daily.map(d => [d._id, d]));
+    const growthByDay = new Map(growth.map(g => [g.day, g]));
+    let followers = null;
+    const series = list.map(day => {
+      const d = byDay.get(day) || { plays: 0, uniqueViewers: 0, watchSeconds: 0, completes: 0 };
+      const g = growthByDay.get(day);
+      if (g) followers = g.followers; // days without follow activity carry the last known total
+      return { day, ...summarize(d), followers, newFollowers: g ? g.follows - g.unfollows : 0 };
+    });
+
+    const totals = daily.reduce((t, d) => ({
+      plays: t.plays + d.plays, uniqueViewers: t.uniqueViewers + d.uniqueViewers,
+      watchSeconds: t.watchSeconds + d.watchSeconds, completes: t.completes + d.completes,
+    }), { plays: 0, uniqueViewers: 0, watchSeconds: 0, completes: 0 });
+
+    const titles = new Map((await Video.find({ _id: { $in: perVideo.map(v => v._id) } }).select('title').lean()).map(v => [String(v._id), v.title]));
+    const videos = perVideo.map(v => ({ _id: v._id, title: titles.get(String(v._id)) || 'Untitled', ...summarize(v) }));
+
+    res.json({ totals: { ...summarize(totals), newFollowers: series.reduce((n, s) => n + s.newFollowers, 0) }, series, videos });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/controllers/tagController.js
+
+```js
+import Video, { PUBLISHED } from '../models/Video.js';
+import { afterCursor, pageLimit, toPage, NEWEST_FIRST } from '../utils/cursor.js';
+import { normalizeTag } from '../utils/titleTokens.js';
+import { presentVideos } from '../videoPresenter.js';
+import { tagStats, trendingTags } from '../tags.js';
+import { hiddenAuthorIds, notBy } from '../blocks.js';
+
+// GET /api/tags — most used hashtags this week
+export async function getTrendingTags(req, res) {
+  try {
+    res.json({ items: await trendingTags(Math.min(Number(req.query.limit) || 20, 50)) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/tags/:tag?cursor=&limit= — newest videos with the tag; the first
+// page also carries the tag's counts
+export async function getTag(req, res) {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const limit = pageLimit(req.query.limit);
+    const hidden = await hiddenAuthorIds(req.userId);
+    const rows = await Video.find({ hashtags: tag, ...PUBLISHED, ...notBy(hidden), ...afterCursor(req.query.cursor) }).sort(NEWEST_FIRST).limit(limit + 1).lean();
+    const page = toPage(rows, limit);
+    const stats = req.query.cursor ? undefined : await tagStats(tag);
+    res.json({ tag, stats, ...page, items: await presentVideos(page.items, req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/routes/tagRoutes.js
+
+```js
+import express from 'express';
+import { getTrendingTags, getTag } from '../controllers/tagController.js';
+import { optionalAuth } from '../middleware/auth.js';
+const router = express.Router();
+router.get('/', getTrendingTags);
+router.get('/:tag', optionalAuth, getTag);
+export default router;
+```
+
+---
+
+### backend/controllers/searchController.js
+
+```js
+import { pageLimit, encodeOffset, decodeOffset } from '../utils/cursor.js';
+import { presentVideos } from '../videoPresenter.js';
+import { SEARCHES } from '../search.js';
+import { hiddenUserIds, hiddenAuthorIds } from '../blocks.js';
+
+const SUGGESTIONS = { users: 3, tags: 3, videos: 5 };
+
+// accounts are only hidden by blocks; videos also when their author is a
+// private account the searcher doesn't follow
+const hiddenFor = (type, userId) => (type === 'videos' ? hiddenAuthorIds(userId) : hiddenUserIds(userId));
+
+// GET /api/search?q=&type=videos|users|tags&cursor=&limit= — ranked, paginated
+// GET /api/search?q= (no type) — a few of each, for autocomplete
+export async function search(req, res) {
+  try {
+    const q = String(req.query.q || '').slice(0, 100);
+    const { type } = req.query;
+    if (!type || type === 'all') {
+      const [users, tags, videos] = await Promise.all(Object.keys(SUGGESTIONS).map(async t => SEARCHES[t](q, await hiddenFor(t, req.userId))));
+      return res.json({
+        users: users.slice(0, SUGGESTIONS.users),
+        tags: tags.slice(0, SUGGESTIONS.tags),
+        videos: await presentVideos(videos.slice(0, SUGGESTIONS.videos), req.userId),
+      });
+    }
+    if (!SEARCHES[type]) return res.status(400).json({ error: 'Unknown search type' });
+
+    const limit = pageLimit(req.query.limit);
+    const offset = decodeOffset(req.query.cursor);
+    const ranked = await SEARCHES[type](q, await hiddenFor(type, req.userId));
+    const page = ranked.slice(offset, offset + limit);
+    const nextCursor = ranked.length > offset + limit ? encodeOffset(offset + limit) : null;
+    res.json({ items: type === 'videos' ? await presentVideos(page, req.userId) : page, nextCursor });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/routes/searchRoutes.js
+
+```js
+import express from 'express';
+import { search } from '../controllers/searchController.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.get('/', optionalAuth, rateLimit('search'), search);
+export default router;
+```
+
+---
+
+### backend/controllers/notificationController.js
+
+```js
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { afterCursor, pageLimit, toPage } from '../utils/cursor.js';
+import { presentNotifications, unreadCount } from '../notifications.js';
+
+// GET /api/notifications?cursor=&limit= — latest activity first
+export async function listNotifications(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const rows = await Notification.find({ user: req.userId, ...afterCursor(req.query.cursor, 'updatedAt') })
+      .sort({ updatedAt: -1, _id: -1 }).limit(limit + 1).lean();
+    const page = toPage(rows, limit, 'updatedAt');
+    res.json({ ...page, items: await presentNotifications(page.items), unreadCount: await unreadCount(req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function getUnreadCount(req, res) {
+  try { res.json({ unreadCount: await unreadCount(req.userId) }); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/notifications/read { ids? } — marks the given notifications, or all, as read
+export async function markRead(req, res) {
+  try {
+    const { ids } = req.body;
+    const filter = { user: req.userId, read: false };
+    if (Array.isArray(ids)) filter._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+    await Notification.updateMany(filter, { $set: { read: true } }, { timestamps: false });
+    const count = await unreadCount(req.userId);
+    req.app.get('io').to(`user_${req.userId}`).emit('notifications-read', { unreadCount: count }); // other tabs
+    res.json({ unreadCount: count });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/routes/notificationRoutes.js
+
+```js
+import express from 'express';
+import { listNotifications, getUnreadCount, markRead } from '../controllers/notificationController.js';
+import { requireAuth } from '../middleware/auth.js';
+const router = express.Router();
+router.use(requireAuth);
+router.get('/', listNotifications);
+router.get('/unread-count', getUnreadCount);
+router.post('/read', markRead);
+export default router;
+```
+
+---
+
+### backend/controllers/conversationController.js
+
+```js
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import Video, { PUBLISHED } from '../models/Video.js';
+import { afterCursor, pageLimit, toPage, NEWEST_FIRST } from '../utils/cursor.js';
+import { recordEngagement } from '../trendingScore.js';
+import { isBlocked, canSeeAuthor } from '../blocks.js';
+import { conversationKey, otherParticipant, findConversationFor, presentMessages, emitToParticipants } from '../messaging.js';
+
+// c is a lean conversation; `theirLastRead` drives the "Seen" receipt
+async function presentConversation(c, userId) {
+  const other = otherParticipant(c, userId);
+  const lastRead = c.lastRead || {};
+  const [user, unread] = await Promise.all([
+    User.findById(other).select('username').lean(),
+    Message.countDocuments({ conversation: c._id, sender: { $ne: userId }, createdAt: { $gt: lastRead[userId] || new Date(0) } }),
+  ]);
+  return {
+    _id: c._id,
+    with: user || { _id: other, username: 'deleted' },
+    lastMessage: c.lastMessage,
+    lastMessageAt: c.lastMessageAt,
+    theirLastRead: lastRead[other] || null,
+    unread,
+  };
+}
+
+// GET /api/conversations?cursor=&limit= — most recent activity first
+export async function listConversations(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const rows = await Conversation.find({ participants: req.userId, ...afterCursor(req.query.cursor, 'lastMessageAt') })
+      .sort({ lastMessageAt: -1, _id: -1 }).limit(limit + 1).lean();
+    const page = toPage(rows, limit, 'lastMessageAt');
+    res.json({ ...page, items: await Promise.all(page.items.map(c => presentConversation(c, req.userId))) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/conversations { userId | username } — opens (or returns) the conversation with that user
+export async function openConversation(req, res) {
+  try {
+    const { userId, username } = req.body;
+    const other = userId && mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select('_id').lean()
+      : username ? await User.findOne({ username }).select('_id').lean() : null;
+    if (!other) return res.status(404).json({ error: 'User not found' });
+    if (String(other._id) === req.userId) return res.status(400).json({ error: 'Invalid' });
+    if (await isBlocked(req.userId, other._id)) return res.status(403).json({ error: 'You cannot message this user' });
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { key: conversationKey(req.userId, other._id) },
+      { $setOnInsert: { participants: [req.userId, other._id] } },
+      { upsert: true, new: true },
+    ).lean();
+    res.json(await presentConversation(conversation, req.userId));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+export async function getConversation(req, res) {
+  try {
+    const conversation = await findConversationFor(req.params.id, req.userId).lean();
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    res.json(await presentConversation(conversation, req.userId));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/conversations/:id/messages?cursor=&limit= — newest first
+export async function listMessages(req, res) {
+  try {
+    const conversation = await findConversationFor(req.params.id, req.userId).select('_id').lean();
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    const limit = pageLimit(req.query.limit, 30, 100);
+    const rows = await Message.find({ conversation: conversation._id, ...afterCursor(req.query.cursor) })
+      .sort(NEWEST_FIRST).limit(limit + 1).lean();
+    const page = toPage(rows, limit);
+    res.json({ ...page, items: await presentMessages(page.items, req.userId) });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/conversations/:id/messages { text?, videoId? }
+export async function sendMessage(req, res) {
+  try {
+    const text = String(req.body.text || '').trim();
+    const { videoId } = req.body;
+    if (!text && !videoId) return res.status(400).json({ error: 'Message text required' });
+    const conversation = await findConversationFor(req.params.id, req.userId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    const other = otherParticipant(conversation, req.userId);
+    if (await isBlocked(req.userId, other)) return res.status(403).json({ error: 'You cannot message this user' });
+
+    let video = null;
+    if (videoId) {
+      video = mongoose.isValidObjectId(videoId) && await Video.findOne({ _id: videoId, ...PUBLISHED }).select('_id user').lean();
+      if (!video || !(await canSeeAuthor(req.userId, video.user))) return res.status(404).json({ error: 'Video not found' });
+      // the payload is pushed to both sides as is, so the recipient must be allowed to see it too
+      if (!(await canSeeAuthor(other, video.user))) return res.status(403).json({ error: 'This video is from a private account they can\'t see' });
+    }
+
+    const message = (await Message.create({ conversation: conversation._id, sender: req.userId, text: text || undefined, video: video?._id })).toObject();
+    conversation.lastMessage = { sender: req.userId, text: text || undefined, video: video?._id };
+    conversation.lastMessageAt = message.createdAt;
+    conversation.lastRead.set(req.userId, message.createdAt); // you've read what you sent
+    await conversation.save();
+    if (video) {
+      // sharing into a chat counts as a share
+      await Video.updateOne({ _id: video._id }, { $inc: { shares: 1 } });
+      await recordEngagement(video._id, 'share');
+    }
+
+    const [payload] = await presentMessages([message], req.userId);
+    emitToParticipants(req.app.get('io'), conversation, 'dm-message', { conversationId: String(conversation._id), message: payload });
+    res.status(201).json(payload);
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/conversations/:id/read — read receipt up to now
+export async function markConversationRead(req, res) {
+  try {
+    const at = new Date();
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, participants: req.userId },
+      { $set: { [`lastRead.${req.userId}`]: at } },
+      { new: true },
+    ).lean();
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    emitToParticipants(req.app.get('io'), conversation, 'dm-read', { conversationId: String(conversation._id), userId: req.userId, at });
+    res.json({ ok: true, at });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/routes/conversationRoutes.js
+
+```js
+import express from 'express';
+import {
+  listConversations, openConversation, getConversation, listMessages, sendMessage, markConversationRead,
+} from '../controllers/conversationController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.use(requireAuth);
+router.get('/', listConversations);
+router.post('/', rateLimit('message'), openConversation);
+router.get('/:id', getConversation);
+router.get('/:id/messages', listMessages);
+router.post('/:id/messages', rateLimit('message'), sendMessage);
+router.post('/:id/read', markConversationRead);
+export default router;
+```
+
+---
+
+### backend/controllers/reportController.js
+
+```js
+import mongoose from 'mongoose';
+import Report, { REPORT_REASONS } from '../models/Report.js';
+import Video, { PUBLISHED } from '../models/Video.js';
+import User from '../models/User.js';
+import { targetKey } from '../moderation.js';
+
+// POST /api/reports { targetType: 'video'|'user', targetId, reason, details? }
+// Reporting the same target again while the first report is open is a no-op.
+export async function createReport(req, res) {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    if (!['video', 'user'].includes(targetType) || !mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ error: 'Invalid report target' });
+    }
+    if (!REPORT_REASONS.includes(reason)) return res.status(400).json({ error: 'Invalid reason' });
+    if (targetType === 'user' && String(targetId) === req.userId) return res.status(400).json({ error: "You can't report yourself" });
+    const exists = targetType === 'video'
+      ? await Video.exists({ _id: targetId, ...PUBLISHED })
+      : await User.exists({ _id: targetId });
+    if (!exists) return res.status(404).json({ error: 'Not found' });
+
+    try {
+      await Report.create({
+        reporter: req.userId,
+        targetType,
+        targetKey: targetKey(targetType, targetId),
+        [targetType]: targetId,
+        reason,
+        details: String(details || '').trim().slice(0, 1000) || undefined,
+      });
+    } catch (err) { if (err.code !== 11000) throw err; }
+    res.status(201).json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/controllers/moderationController.js
+
+```js
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { destroyVideo } from './videoController.js';
+import { removeFromTrending } from '../trendingScore.js';
+import { publishFeedEvent, EVERYONE } from '../feedEvents.js';
+import { targetKey, closeReports, audit, reportQueue } from '../moderation.js';
+import { markSuspended, clearSuspended } from '../suspensions.js';
+import { afterCursor, pageLimit, toPage, NEWEST_FIRST, encodeOffset, decodeOffset } from '../utils/cursor.js';
+
+const MAX_SUSPENSION_DAYS = 3650;
+const note = req => String(req.body?.note || '').trim().slice(0, 500) || undefined;
+const isStaff = user => user.role === 'moderator' || user.role === 'admin';
+
+// takedowns leave every feed through PUBLISHED; clients drop the card at once
+function broadcastRemoved(io, videoId) {
+  return publishFeedEvent(io, EVERYONE, 'video-removed', { _id: String(videoId) });
+}
+
+// GET /api/moderation/queue?cursor=&limit=
+export async function getQueue(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const offset = decodeOffset(req.query.cursor);
+    const groups = await reportQueue(offset, limit);
+    res.json({ items: groups.slice(0, limit), nextCursor: groups.length > limit ? encodeOffset(offset + limit) : null });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/moderation/videos/:id/hide { note? } — reversible takedown
+export async function hideVideo(req, res) {
+  try {
+    const video = await Video.findByIdAndUpdate(req.params.id, { hidden: true }, { new: true }).lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    await removeFromTrending(video._id);
+    const reports = await closeReports(targetKey('video', video._id), req.userId, 'resolved', 'hidden');
+    await audit(req.userId, 'hide_video', { targetType: 'video', target: video._id, note: note(req), reports });
+    await broadcastRemoved(req.app.get('io'), video._id);
+    res.json({ ok: true, resolved: reports.length });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/moderation/videos/:id/unhide { note? } — trending picks it up again on new engagement
+export async function unhideVideo(req, res) {
+  try {
+    const video = await Video.findByIdAndUpdate(req.params.id, { hidden: false }, { new: true }).lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    await audit(req.userId, 'unhide_video', { targetType: 'video', target: video._id, note: note(req) });
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// DELETE /api/moderation/videos/:id { note? } — permanent; the audit entry
+// keeps the title and owner
+export async function removeVideo(req, res) {
+  try {
+    const video = await Video.findById(req.params.id).lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    await destroyVideo(video);
+    const reports = await closeReports(targetKey('video', video._id), req.userId, 'resolved', 'removed');
+    await audit(req.userId, 'remove_video', {
+      targetType: 'video', target: video._id, note: note(req), reports,
+      details: { title: video.title, user: video.user, createdAt: video.createdAt },
+    });
+    await broadcastRemoved(req.app.get('io'), video._id);
+    res.json({ ok: true, resolved: reports.length });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/moderation/users/:id/suspend { days, note? } — blocks login and
+// every authenticated request, and drops the user's open sockets
+export async function suspendUser(req, res) {
+  try {
+    const days = Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_SUSPENSION_DAYS}` });
+    }
+    if (req.params.id === req.userId) return res.status(400).json({ error: "You can't suspend yourself" });
+    const user = await User.findById(req.params.id).select('role').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (isStaff(user) && req.userRole !== 'admin') return res.status(403).json({ error: 'Only admins can suspend staff' });
+
+    const suspendedUntil = new Date(Date.now() + days * 24 * 3600 * 1000);
+    await User.updateOne({ _id: user._id }, { suspendedUntil });
+    await markSuspended(user._id, suspendedUntil);
+    req.app.get('io').in(`user_${user._id}`).disconnectSockets(true);
+    const reports = await closeReports(targetKey('user', user._id), req.userId, 'resolved', 'suspended');
+    await audit(req.userId, 'suspend_user', { targetType: 'user', target: user._id, note: note(req), reports, details: { days, suspendedUntil } });
+    res.json({ ok: true, suspendedUntil, resolved: reports.length });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/moderation/users/:id/unsuspend { note? }
+export async function unsuspendUser(req, res) {
+  try {
+    const { matchedCount } = await User.updateOne({ _id: req.params.id }, { $unset: { suspendedUntil: 1 } });
+    if (!matchedCount) return res.status(404).json({ error: 'User not found' });
+    await clearSuspended(req.params.id);
+    await audit(req.userId, 'unsuspend_user', { targetType: 'user', target: req.params.id, note: note(req) });
+    res.json({ ok: true });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/moderation/reports/dismiss { targetType, targetId, note? } — closes
+// the target's open reports without acting on it
+export async function dismissReports(req, res) {
+  try {
+    const { targetType, targetId } = req.body;
+    if (!['video', 'user'].includes(targetType) || !mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ error: 'Invalid report target' });
+    }
+    const reports = await closeReports(targetKey(targetType, targetId), req.userId, 'dismissed', 'dismissed');
+    if (!reports.length) return res.status(404).json({ error: 'No open reports' });
+    await audit(req.userId, 'dismiss_reports', { targetType, target: targetId, note: note(req), reports });
+    res.json({ ok: true, dismissed: reports.length });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// POST /api/moderation/users/:id/role { role, note? } — admins only
+export async function setRole(req, res) {
+  try {
+    const { role } = req.body;
+    if (!['user', 'moderator', 'admin'].includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    if (req.params.id === req.userId) return res.status(400).json({ error: "You can't change your own role" });
+    const user = await User.findByIdAndUpdate(req.params.id, { role }).select('role').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await audit(req.userId, 'set_role', { targetType: 'user', target: user._id, note: note(req), details: { from: user.role, to: role } });
+    res.json({ ok: true, role });
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+
+// GET /api/moderation/audit?targetType=&target=&cursor=&limit= — newest first
+export async function listAudit(req, res) {
+  try {
+    const limit = pageLimit(req.query.limit);
+    const filter = { ...afterCursor(req.query.cursor) };
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.target) {
+      if (!mongoose.isValidObjectId(req.query.target)) return res.status(400).json({ error: 'Invalid target' });
+      filter.target = req.query.target;
+    }
+    const rows = await AuditLog.find(filter).sort(NEWEST_FIRST).limit(limit + 1).populate('actor', 'username').lean();
+    res.json(toPage(rows, limit));
+  } catch (err) { res.status(400).json({ error: err.message }); }
+}
+```
+
+---
+
+### backend/routes/reportRoutes.js
+
+```js
+import express from 'express';
+import { createReport } from '../controllers/reportController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.post('/', requireAuth, rateLimit('report'), createReport);
+export default router;
+```
+
+---
+
+### backend/routes/moderationRoutes.js
+
+```js
+import express from 'express';
+import {
+  getQueue, hideVideo, unhideVideo, removeVideo, suspendUser, unsuspendUser, dismissReports, setRole, listAudit,
+} from '../controllers/moderationController.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+const router = express.Router();
+router.use(requireAuth, requireRole('moderator', 'admin'));
+router.get('/queue', getQueue);
+router.post('/videos/:id/hide', hideVideo);
+router.post('/videos/:id/unhide', unhideVideo);
+router.delete('/videos/:id', removeVideo);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/unsuspend', unsuspendUser);
+router.post('/reports/dismiss', dismissReports);
+router.post('/users/:id/role', requireRole('admin'), setRole);
+router.get('/audit', listAudit);
+export default router;
+```
+
+---
+
+### backend/routes/authRoutes.js
+
+```js
+import express from 'express';
+import {
+  register, login, refresh, logout, logoutAll, verifyEmail, resendVerification,
+  requestPasswordReset, resetPassword, changePassword,
+} from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.post('/register', rateLimit('register'), register);
+router.post('/login', rateLimit('login'), login);
+router.post('/refresh', rateLimit('refresh'), refresh);
+router.post('/logout', requireAuth, logout);
+router.post('/logout-all', requireAuth, logoutAll);
+router.post('/verify-email', rateLimit('verify-email'), verifyEmail);
+router.post('/verify-email/resend', rateLimit('verify-email'), resendVerification);
+router.post('/password-reset', rateLimit('password-reset'), requestPasswordReset);
+router.post('/password-reset/confirm', rateLimit('password-reset'), resetPassword);
+router.post('/password', requireAuth, rateLimit('login'), changePassword);
+export default router;
+```
+
+---
+
+### backend/routes/userRoutes.js
+
+```js
+import express from 'express';
+import {
+  follow, unfollow, getFollowingVideos, listFollowRequests, approveFollowRequest, rejectFollowRequest,
+  getMe, updateMe, block, unblock, listBlocked, avatarUpload, uploadAvatar, removeAvatar,
+  getProfile, getProfileVideos, getFollowers, getFollowing,
+} from '../controllers/userController.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.post('/follow', requireAuth, rateLimit('follow'), follow);
+router.post('/unfollow', requireAuth, rateLimit('follow'), unfollow);
+router.get('/following-videos', requireAuth, getFollowingVideos);
+router.get('/follow-requests', requireAuth, listFollowRequests);
+router.post('/follow-requests/:id/approve', requireAuth, approveFollowRequest);
+router.post('/follow-requests/:id/reject', requireAuth, rejectFollowRequest);
+router.get('/me', requireAuth, getMe);
+router.patch('/me', requireAuth, updateMe);
+router.post('/block', requireAuth, rateLimit('follow'), block);
+router.post('/unblock', requireAuth, rateLimit('follow'), unblock);
+router.get('/blocked', requireAuth, listBlocked);
+router.post('/me/avatar', requireAuth, rateLimit('avatar'), avatarUpload.single('avatar'), uploadAvatar);
+router.delete('/me/avatar', requireAuth, removeAvatar);
+// after the fixed paths above, which these would otherwise shadow
+router.get('/:username', optionalAuth, getProfile);
+router.get('/:username/videos', optionalAuth, getProfileVideos);
+router.get('/:username/followers', optionalAuth, getFollowers);
+router.get('/:username/following', optionalAuth, getFollowing);
+export default router;
+```
+
+---
+
+### backend/routes/videoRoutes.js
+
+```js
+import express from 'express';
+import {
+  upload, uploadVideo, createUploadUrl, completeUpload, deleteVideo, getPlaylist,
+  getAllVideos, likeVideo, unlikeVideo, shareVideo, getTrending, getForYou,
+} from '../controllers/videoController.js';
+import { listComments, createComment, deleteComment, likeComment, unlikeComment } from '../controllers/commentController.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.post('/upload', requireAuth, rateLimit('upload'), upload.single('video'), uploadVideo);
+router.post('/upload-url', requireAuth, rateLimit('upload'), createUploadUrl);
+router.post('/:id/complete', requireAuth, completeUpload);
+router.delete('/:id', requireAuth, deleteVideo);
+router.get('/:id/hls/*', optionalAuth, getPlaylist);
+router.get('/' , optionalAuth, getAllVideos);
+router.post('/:id/like', requireAuth, rateLimit('like'), likeVideo);
+router.delete('/:id/like', requireAuth, rateLimit('like'), unlikeVideo);
+router.post('/:id/share', requireAuth, rateLimit('like'), shareVideo);
+router.get('/trending', optionalAuth, getTrending);
+router.get('/for-you', optionalAuth, getForYou);
+router.get('/:id/comments', optionalAuth, listComments);
+router.post('/:id/comments', requireAuth, rateLimit('comment'), createComment);
+router.delete('/:id/comments/:commentId', requireAuth, deleteComment);
+router.post('/:id/comments/:commentId/like', requireAuth, rateLimit('like'), likeComment);
+router.delete('/:id/comments/:commentId/like', requireAuth, rateLimit('like'), unlikeComment);
+export default router;
+```
+
+---
+
+### backend/ffmpeg.js
+
+```js
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Adaptive-bitrate ladder; renditions taller than the source are skipped.
+const RENDITIONS = [
+  { name: '240p', height: 240, videoBitrate: '400k', audioBitrate: '64k' },
+  { name: '480p', height: 480, videoBitrate: '1200k', audioBitrate: '96k' },
+  { name: '720p', height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+  { name: '1080p', height: 1080, videoBitrate: '5000k', audioBitrate: '128k' },
+];
+const IMAGE_FORMATS = /^(image2|png_pipe|jpeg_pipe|gif|webp_pipe|bmp_pipe)/;
+
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args);
+    let stdout = '', stderr = '';
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr = (stderr + d).slice(-4000); });
+    child.on('error', reject);
+    child.on('close', code => code === 0 ? resolve(stdout) : reject(new Error(`${cmd} exited with ${code}: ${stderr}`)));
+  });
+}
+
+export class InvalidMediaError extends Error {}
+
+// returns { duration, width, height, hasAudio } or throws InvalidMediaError
+export async function probe(file) {
+  let info;
+  try { info = JSON.parse(await run('ffprobe', ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file])); }
+  catch (err) { throw new InvalidMediaError('File is not a readable media file'); }
+  const video = (info.streams || []).find(s => s.codec_type === 'video');
+  const duration = Number(info.format?.duration || video?.duration);
+  if (!video || IMAGE_FORMATS.test(info.format?.format_name || '') || !(duration > 0)) {
+    throw new InvalidMediaError('File does not contain a video stream');
+  }
+  // phones record portrait video as landscape frames plus a rotation tag
+  const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(d => d.rotation != null)?.rotation || 0));
+  const swap = rotation === 90 || rotation === 270;
+  return {
+    duration,
+    width: swap ? video.height : video.width,
+    height: swap ? video.width : video.height,
+    hasAudio: (info.streams || []).some(s => s.codec_type === 'audio'),
+  };
+}
+
+// writes <outDir>/master.m3u8 plus one <outDir>/<rendition>/index.m3u8 per rendition
+export async function transcodeHls(input, outDir, meta) {
+  const ladder = RENDITIONS.filter(r => r.height <= meta.height);
+  if (!ladder.length) ladder.push(RENDITIONS[0]);
+  await Promise.all(ladder.map(r => fs.mkdir(path.join(outDir, r.name), { recursive: true })));
+
+  const split = `[0:v]split=${ladder.length}${ladder.map((_, i) => `[s${i}]`).join('')};` +
+    ladder.map((r, i) => `[s${i}]scale=-2:${r.height}[v${i}]`).join(';');
+  const args = ['-y', '-i', input, '-filter_complex', split];
+  ladder.forEach((r, i) => {
+    args.push('-map', `[v${i}]`, `-c:v:${i}`, 'libx264', `-b:v:${i}`, r.videoBitrate,
+      `-maxrate:v:${i}`, r.videoBitrate, `-bufsize:v:${i}`, `${parseInt(r.videoBitrate, 10) * 2}k`);
+    if (meta.hasAudio) args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, r.audioBitrate);
+  });
+  const streamMap = ladder.map((r, i) => (meta.hasAudio ? `v:${i},a:${i}` : `v:${i}`) + `,name:${r.name}`).join(' ');
+  args.push(
+    '-preset', 'veryfast', '-g', '48', '-keyint_min', '48', '-sc_threshold', '0', // aligned keyframes across renditions
+    '-f', 'hls', '-hls_time', '4', '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outDir, '%v', 'seg_%03d.ts'),
+    '-master_pl_name', 'master.m3u8', '-var_stream_map', streamMap,
+    path.join(outDir, '%v', 'index.m3u8'),
+  );
+  await run('ffmpeg', args);
+  return ladder.map(r => r.name);
+}
+
+export async function thumbnail(input, outFile, meta) {
+  const at = Math.min(1, meta.duration / 2).toFixed(2);
+  await run('ffmpeg', ['-y', '-ss', at, '-i', input, '-frames:v', '1', '-vf', 'scale=480:-2', outFile]);
+}
+
+// profile pictures: the centre square of the first frame, re-encoded as JPEG
+export async function avatarImage(input, outFile, size) {
+  try {
+    await run('ffmpeg', ['-y', '-i', input, '-frames:v', '1', '-vf', `crop='min(iw,ih)':'min(iw,ih)',scale=${size}:${size}`, outFile]);
+  } catch (err) { throw new InvalidMediaError('File is not a readable image'); }
+}
+```
+
+---
+
+### backend/videoPipeline.js
+
+```js
+import { Queue, Worker, UnrecoverableError } from 'bullmq';
+import Redis from 'ioredis';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Video from './models/Video.js';
+import storage, { contentTypeFor } from './storage/index.js';
+import { probe, transcodeHls, thumbnail, InvalidMediaError } from './ffmpeg.js';
+import { fanOutVideo } from './timeline.js';
+import { presentVideo } from './videoPresenter.js';
+import { recordTagUses } from './tags.js';
+import { notify } from './notifications.js';
+import { publishFeedEvent } from './feedEvents.js';
+import { refundVideoUpload } from './uploadQuota.js';
+
+// Uploads are processed in the background: probe -> HLS renditions -> poster.
+// The queue lives in Redis, so any instance (or a dedicated worker process)
+// can pick jobs up. Work happens in a temp dir; inputs and outputs go
+// through the storage driver.
+const QUEUE = 'video-processing';
+const connection = () => new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: null }); // required by BullMQ workers
+
+const queue = new Queue(QUEUE, { connection: connection() });
+
+export async function enqueueVideo(videoId) {
+  await queue.add('process', { videoId: String(videoId) }, {
+    jobId: String(videoId), // re-enqueueing the same video is a no-op
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 10000 },
+    removeOnComplete: true,
+    removeOnFail: 1000,
+  });
+}
+
+// followers only hear about a video once it can actually be played
+export async function publishVideo(io, video) {
+  const followers = await fanOutVideo(video);
+  await recordTagUses(video.hashtags);
+  const payload = await presentVideo(video);
+  await publishFeedEvent(io, followers.map(f => `user_${f}`), 'feed-update-following', payload);
+  await publishFeedEvent(io, `user_${video.user}`, 'video-processed', { _id: video._id, status: video.status });
+  for (const m of video.mentions || []) await notify(io, { user: m.user, type: 'mention', actor: video.user, video: video._id, text: video.title });
+}
+
+async function uploadDir(dir, prefix) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) await uploadDir(file, `${prefix}/${entry.name}`);
+    else await storage.putFile(`${prefix}/${entry.name}`, file, contentTypeFor(entry.name));
+  }
+}
+
+// returns the video to announce: freshly transcoded, or already ready from an
+// attempt whose announcement failed; null when there is nothing left to do
+async function processVideo(videoId) {
+  const video = await Video.findById(videoId).lean();
+  if (video?.status === 'ready' && video.announcePending) return video;
+  if (!video || video.status !== 'processing') return null;
+
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'video-'));
+  try {
+    const input = path.join(tmp, 'source');
+    await storage.download(video.storageKey, input);
+
+    let meta;
+    try { meta = await probe(input); }
+    catch (err) {
+      if (err instanceof InvalidMediaError) throw new UnrecoverableError(err.message);
+      throw err;
+    }
+
+    await transcodeHls(input, path.join(tmp, 'hls'), meta);
+    await thumbnail(input, path.join(tmp, 'poster.jpg'), meta);
+
+    // the original stays in storage so videos can be re-transcoded later
+    const prefix = `videos/${video._id}`;
+    await storage.removePrefix(`${prefix}/hls/`); // leftovers from a previous failed attempt
+    await uploadDir(path.join(tmp, 'hls'), `${prefix}/hls`);
+    await storage.putFile(`${prefix}/poster.jpg`, path.join(tmp, 'poster.jpg'), 'image/jpeg');
+
+    return Video.findByIdAndUpdate(video._id, {
+      status: 'ready',
+      announcePending: true,
+      hlsKey: `${prefix}/hls`,
+      thumbnailKey: `${prefix}/poster.jpg`,
+      duration: meta.duration, width: meta.width, height: meta.height,
+      $unset: { error: 1 },
+    }, { new: true }).lean();
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+// only videos still processing; a ready video whose announcement kept failing stays playable
+async function markFailed(io, videoId, reason) {
+  const video = await Video.findOneAndUpdate({ _id: videoId, status: 'processing' }, { status: 'failed', error: reason }, { new: true }).lean();
+  if (!video) return;
+  if (video.storageKey) await storage.remove(video.storageKey).catch(() => {}); // rejected input is not kept
+  await refundVideoUpload(video._id);
+  await publishFeedEvent(io, `user_${video.user}`, 'video-processed', { _id: video._id, status: 'failed', error: reason });
+}
+
+export function startVideoWorker(io) {
+  const worker = new Worker(QUEUE, async job => {
+    const processed = await processVideo(job.data.videoId);
+    if (!processed) return;
+    // re-read: a moderator may have hidden it while it was being processed,
+    // and hidden videos are never announced
+    const video = await Video.findById(processed._id).lean();
+    if (video && !video.hidden) await publishVideo(io, video);
+    await Video.updateOne({ _id: processed._id }, { $unset: { announcePending: 1 } });
+  }, { connection: connection(), concurrency: Number(process.env.VIDEO_WORKER_CONCURRENCY || 1) });
+
+  worker.on('failed', (job, err) => {
+    const final = err instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1);
+    console.error(`Video ${job?.data.videoId} processing failed${final ? '' : ', will retry'}:`, err.message);
+    if (job && final) markFailed(io, job.data.videoId, err instanceof UnrecoverableError ? err.message : 'Processing failed').catch(console.error);
+  });
+  return worker;
+}
+```
+
+---
+
+### backend/analytics.js
+
+```js
+import mongoose from 'mongoose';
+import redis from './redisClient.js';
+import Video from './models/Video.js';
+import User from './models/User.js';
+import VideoStat from './models/VideoStat.js';
+import CreatorStat from './models/CreatorStat.js';
+import { recordEngagement } from './trendingScore.js';
+import { logInteractions } from './recommender/interactions.js';
+
+// Player events are counted in Redis per video per UTC day:
+//   stats:video:<id>:<day>          hash { plays, watchSeconds, completes }
+//   stats:video:<id>:<day>:viewers  HyperLogLog of viewer keys (unique viewers)
+//   stats:creator:<id>:<day>        hash { follows, unfollows }
+// and rolled up into VideoStat/CreatorStat by a scheduled job. Redis keys
+// outlive the day by a little so late rollups still see them.
+const KEY_TTL_S = 3 * 24 * 3600;
+const MAX_PROGRESS_SECONDS = 30; // one progress report never counts for more than this
+
+export const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+const videoKey = (id, day) => `stats:video:${id}:${day}`;
+const creatorKey = (id, day) => `stats:creator:${id}:${day}`;
+const dirtyVideos = day => `stats:dirty:videos:${day}`;
+const dirtyCreators = day => `stats:dirty:creators:${day}`;
+
+// accounts are counted by id, anonymous visitors by the random id the client
+// keeps in localStorage (falling back to the IP). That id only keys the
+// visitor's own recommendation history: the client picks it, so it is never
+// trusted for anything shared.
+export function viewerKeyOf(req, viewerId = req.get('X-Viewer-Id')) {
+  return req.userId ? `u:${req.userId}` : `a:${String(viewerId || req.ip).slice(0, 64)}`;
+}
+
+// who a play counts as for unique viewers (and so trending): the account, or
+// for anonymous visitors the IP, which a client can't rotate per request.
+// Visitors sharing an address count once.
+export function uniqueViewerKeyOf(req) {
+  return req.userId ? `u:${req.userId}` : `ip:${req.ip}`;
+}
+
+// events: [{ videoId, type: 'play'|'progress'|'complete', watched? }];
+// viewerKey keys the interaction history, uniqueKey the unique-viewer count
+export async function ingestEvents(events, viewerKey, uniqueKey = viewerKey) {
+  const day = dayOf();
+  const multi = redis.multi();
+  // exec() returns one reply per queued command, in order; `queue` returns
+  // the index of the reply (ioredis' own multi.length also counts MULTI)
+  let queued = 0;
+  const queue = (command, ...args) => { multi[command](...args); return queued++; };
+  const plays = []; // [videoId, index of its PFADD reply]
+  for (const e of events) {
+    if (!mongoose.isValidObjectId(e.videoId)) continue;
+    const key = videoKey(e.videoId, day);
+    if (e.type === 'play') {
+      queue('hincrby', key, 'plays', 1);
+      plays.push([e.videoId, queue('pfadd', `${key}:viewers`, uniqueKey)]);
+    } else if (e.type === 'progress') {
+      const watched = Math.min(MAX_PROGRESS_SECONDS, Math.max(0, Number(e.watched) || 0));
+      if (watched) queue('hincrbyfloat', key, 'watchSeconds', watched);
+    } else if (e.type === 'complete') {
+      queue('hincrby', key, 'completes', 1);
+    } else continue;
+    queue('expire', key, KEY_TTL_S);
+    queue('expire', `${key}:viewers`, KEY_TTL_S);
+    queue('sadd', dirtyVideos(day), e.videoId);
+    queue('expire', dirtyVideos(day), KEY_TTL_S);
+  }
+  const results = await multi.exec();
+  // a play only moves trending when PFADD saw a new viewer for the day
+  for (const [videoId, at] of plays) {
+    if (results[at]?.[1] === 1) await recordEngagement(videoId, 'view');
+  }
+
+  // plays and completions also feed the viewer's recommendation history
+  const watched = events.filter(e => (e.type === 'play' || e.type === 'complete') && mongoose.isValidObjectId(e.videoId));
+  if (watched.length) {
+    const creators = new Map((await Video.find({ _id: { $in: watched.map(e => e.videoId) } }).select('user').lean()).map(v => [String(v._id), v.user]));
+    await logInteractions(watched.filter(e => creators.has(String(e.videoId)))
+      .map(e => ({ viewer: viewerKey, type: e.type, video: e.videoId, creator: creators.get(String(e.videoId)) })));
+  }
+  return plays.length;
+}
+
+export async function recordFollowChange(creatorId, delta) {
+  const day = dayOf();
+  await redis.multi()
+    .hincrby(creatorKey(creatorId, day), delta > 0 ? 'follows' : 'unfollows', 1)
+    .expire(creatorKey(creatorId, day), KEY_TTL_S)
+    .sadd(dirtyCreators(day), String(creatorId))
+    .expire(dirtyCreators(day), KEY_TTL_S)
+    .exec();
+}
+
+// takes the dirty set atomically; ids touched meanwhile land in a fresh set
+async function takeDirty(key) {
+  const [[, ids]] = await redis.multi().smembers(key).del(key).exec();
+  return ids;
+}
+
+async function rollupVideos(day) {
+  const ids = await takeDirty(dirtyVideos(day));
+  for (const id of ids) {
+    const video = await Video.findById(id).select('user').lean();
+    if (!video) continue;
+    const [hash, unique] = await Promise.all([redis.hgetall(videoKey(id, day)), redis.pfcount(`${videoKey(id, day)}:viewers`)]);
+    const values = {
+      creator: video.user,
+      plays: Number(hash.plays || 0),
+      uniqueViewers: unique,
+      watchSeconds: Math.round(Number(hash.watchSeconds || 0)),
+      completes: Number(hash.completes || 0),
+    };
+    // Redis holds the running totals for the day, so rows are overwritten, not
+    // incremented; the lifetime view counter moves by the difference
+    const before = await VideoStat.findOneAndUpdate({ video: id, day }, { $set: values }, { upsert: true }).lean();
+    const delta = values.plays - (before?.plays || 0);
+    if (delta) await Video.updateOne({ _id: id }, { $inc: { views: delta } });
+  }
+  return ids.length;
+}
+
+async function rollupCreators(day) {
+  const ids = await takeDirty(dirtyCreators(day));
+  for (const id of ids) {
+    const hash = await redis.hgetall(creatorKey(id, day));
+    const [row] = await User.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(id) } },
+      { $project: { n: { $size: { $ifNull: ['$followers', []] } } } },
+    ]);
+    await CreatorStat.updateOne({ user: id, day }, {
+      $set: { follows: Number(hash.follows || 0), unfollows: Number(hash.unfollows || 0), followers: row?.n || 0 },
+    }, { upsert: true });
+  }
+  return ids.length;
+}
+
+// scheduled; also covers yesterday so events from just before midnight are not lost
+export async function rollupAnalytics() {
+  const today = dayOf();
+  const yesterday = dayOf(new Date(Date.now() - 24 * 3600 * 1000));
+  let videos = 0, creators = 0;
+  for (const day of [yesterday, today]) {
+    videos += await rollupVideos(day);
+    creators += await rollupCreators(day);
+  }
+  if (videos || creators) console.log(`Analytics rollup: ${videos} videos, ${creators} creators`);
+}
+```
+
+---
+
+### backend/tags.js
+
+```js
+import redis from './redisClient.js';
+import User from './models/User.js';
+import Video, { PUBLISHED } from './models/Video.js';
+import { parseTitle, titleWords } from './utils/titleTokens.js';
+
+// Hashtag usage is counted per UTC day in tags:day:<YYYY-MM-DD> ZSETs (member
+// tag, score videos published with it); the last 7 are summed for "trending".
+const DAY_MS = 24 * 3600 * 1000;
+const WEEK = 7;
+const dayKey = (offset = 0) => `tags:day:${new Date(Date.now() - offset * DAY_MS).toISOString().slice(0, 10)}`;
+const WEEK_KEY = 'tags:week';
+
+// { hashtags, mentions, titleWords } for a new Video; mentions of unknown users are dropped
+export async function titleFields(title) {
+  const { hashtags, mentions } = parseTitle(title);
+  const users = mentions.length ? await User.find({ username: { $in: mentions } }).select('username').lean() : [];
+  return { hashtags, mentions: users.map(u => ({ user: u._id, username: u.username })), titleWords: titleWords(title) };
+}
+
+// called once per video when it is published
+export async function recordTagUses(hashtags = []) {
+  if (!hashtags.length) return;
+  const key = dayKey();
+  const multi = redis.multi();
+  for (const tag of hashtags) multi.zincrby(key, 1, tag);
+  await multi.expire(key, (WEEK + 1) * 24 * 3600).exec();
+}
+
+export async function tagStats(tag) {
+  const multi = redis.multi();
+  for (let i = 0; i < WEEK; i++) multi.zscore(dayKey(i), tag);
+  const [results, videos] = await Promise.all([multi.exec(), Video.countDocuments({ hashtags: tag, ...PUBLISHED })]);
+  const daily = results.map(([, score]) => Number(score || 0));
+  return { videos, today: daily[0], week: daily.reduce((a, b) => a + b, 0) };
+}
+
+// most used tags over the last 7 days; the union is cached for a minute
+export async function trendingTags(limit = 20) {
+  if (!(await redis.exists(WEEK_KEY))) {
+    const keys = Array.from({ length: WEEK }, (_, i) => dayKey(i));
+    await redis.multi().zunionstore(WEEK_KEY, keys.length, ...keys).expire(WEEK_KEY, 60).exec();
+  }
+  const flat = await redis.zrevrange(WEEK_KEY, 0, limit - 1, 'WITHSCORES');
+  const tags = [];
+  for (let i = 0; i < flat.length; i += 2) tags.push({ tag: flat[i], week: Number(flat[i + 1]) });
+  return tags;
+}
+```
+
+---
+
+### backend/search.js
+
+```js
+import User from './models/User.js';
+import Video, { PUBLISHED } from './models/Video.js';
+import { foldText } from './utils/titleTokens.js';
+import { notBy } from './blocks.js';
+
+// Prefix search over indexed, folded fields: Video.titleWords, Video.hashtags
+// and User.usernameFolded. Each query takes up to CANDIDATES matches, scores
+// them by relevance (exact word > prefix) plus a log-scaled popularity term,
+// and pages through that ranked list by offset. `hidden` are user ids the
+// searcher has a block with (blocks.js).
+const CANDIDATES = 200;
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const prefix = s => new RegExp(`^${escapeRegex(s)}`);
+const popularity = (n, scale) => Math.min(1, Math.log10(1 + Math.max(0, n)) / scale);
+const byScore = (a, b) => b.score - a.score || String(a._id).localeCompare(String(b._id));
+
+export const queryTerms = q => [...new Set(foldText(q).match(/[\p{L}\p{N}_]+/gu) || [])].slice(0, 8);
+
+export async function searchVideos(q, hidden = []) {
+  const terms = queryTerms(q);
+  if (!terms.length) return [];
+  const rows = await Video.find({ ...PUBLISHED, ...notBy(hidden), titleWords: { $all: terms.map(prefix) } })
+    .sort({ likes: -1 }).limit(CANDIDATES).lean();
+  const phrase = terms.join(' ');
+  return rows.map(v => {
+    const words = new Set(v.titleWords);
+    // every term matched at least by prefix; exact words count more
+    const relevance = terms.reduce((s, t) => s + (words.has(t) ? 1 : 0.6), 0) / terms.length
+      + (foldText(v.title).startsWith(phrase) ? 0.5 : 0);
+    const score = 2 * relevance + popularity(2 * v.likes + (v.views || 0) + 3 * (v.commentsCount || 0), 6);
+    return { ...v, score };
+  }).sort(byScore);
+}
+
+export async function searchUsers(q, hidden = []) {
+  const folded = foldText(q).replace(/^@/, '').trim();
+  if (!folded) return [];
+  const rows = await User.aggregate([
+    { $match: { usernameFolded: prefix(folded), ...notBy(hidden, '_id') } },
+    { $limit: CANDIDATES * 5 },
+    { $project: { username: 1, usernameFolded: 1, followers: { $size: { $ifNull: ['$followers', []] } } } },
+  ]);
+  return rows.map(u => ({
+    _id: u._id,
+    username: u.username,
+    followers: u.followers,
+    score: 2 * (u.usernameFolded === folded ? 1.5 : folded.length / u.usernameFolded.length) + popularity(u.followers, 5),
+  })).sort(byScore).slice(0, CANDIDATES);
+}
+
+export async function searchTags(q) {
+  const folded = foldText(q).replace(/^#/, '').trim();
+  if (!/^[\p{L}\p{N}_]+$/u.test(folded)) return [];
+  const match = { hashtags: prefix(folded) };
+  const rows = await Video.aggregate([
+    { $match: { ...match, ...PUBLISHED } },
+    { $sort: { createdAt: -1 } },
+    { $limit: 5000 }, // counts for very common prefixes are over recent videos
+    { $project: { hashtags: 1 } },
+    { $unwind: '$hashtags' },
+    { $match: match },
+    { $group: { _id: '$hashtags', videos: { $sum: 1 } } },
+  ]);
+  return rows.map(t => ({
+    _id: t._id,
+    tag: t._id,
+    videos: t.videos,
+    score: 2 * (t._id === folded ? 1.5 : folded.length / t._id.length) + popularity(t.videos, 4),
+  })).sort(byScore).slice(0, CANDIDATES);
+}
+
+export const SEARCHES = { videos: searchVideos, users: searchUsers, tags: searchTags };
+```
+
+---
+
+### backend/notifications.js
+
+```js
+import mongoose from 'mongoose';
+import Notification from './models/Notification.js';
+import User from './models/User.js';
+import { parseTitle } from './utils/titleTokens.js';
+import { isBlocked } from './blocks.js';
+
+// Stores a notification and pushes it to the recipient's user_<id> room.
+// Events of the same kind on the same target within the group window merge
+// into the recipient's unread row, so a burst of likes is one notification.
+const GROUP_WINDOW_MS = Number(process.env.NOTIFICATION_GROUP_HOURS || 24) * 3600 * 1000;
+const SHOWN_ACTORS = 3;
+const EXCERPT = 140;
+
+const ACCOUNT_TYPES = ['follow', 'follow_request', 'follow_accept']; // about you, not a video
+
+const groupOf = ({ type, video, comment }) =>
+  ACCOUNT_TYPES.includes(type) ? type : type === 'mention' ? `mention:${comment || video}` : `${type}:${video}`;
+
+export async function presentNotifications(rows) {
+  return Notification.populate(rows, [
+    { path: 'actors', select: 'username' },
+    { path: 'video', select: 'title' },
+  ]);
+}
+
+export const unreadCount = user => Notification.countDocuments({ user, read: false });
+
+// event: { user, type, actor, video?, comment?, text? }
+export async function notify(io, event) {
+  const { user, type, video, comment, text } = event;
+  if (!user || String(user) === String(event.actor)) return; // no notifications about yourself
+  try {
+    if (await isBlocked(user, event.actor)) return;
+    const actor = new mongoose.Types.ObjectId(String(event.actor));
+    const group = groupOf(event);
+    const actors = { $ifNull: ['$actors', []] };
+    // an update pipeline so the actor list can be deduplicated in place; an
+    // actor already among the shown ones is not counted twice
+    const set = {
+      type,
+      actors: { $slice: [{ $concatArrays: [[actor], { $filter: { input: actors, cond: { $ne: ['$$this', actor] } } }] }, SHOWN_ACTORS] },
+      actorCount: { $add: [{ $ifNull: ['$actorCount', 0] }, { $cond: [{ $in: [actor, actors] }, 0, 1] }] },
+      createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+      updatedAt: '$$NOW',
+    };
+    if (video) set.video = new mongoose.Types.ObjectId(String(video));
+    if (comment) set.comment = new mongoose.Types.ObjectId(String(comment));
+    if (text) set.text = { $literal: String(text).slice(0, EXCERPT) };
+    const row = await Notification.findOneAndUpdate(
+      { user, group, read: false, updatedAt: { $gte: new Date(Date.now() - GROUP_WINDOW_MS) } },
+      [{ $set: set }],
+      { upsert: true, new: true, timestamps: false },
+    ).lean();
+    const [notification] = await presentNotifications([row]);
+    io.to(`user_${user}`).emit('notification', { notification, unreadCount: await unreadCount(user) });
+  } catch (err) { console.error('Notification error', err); } // never fail the user's request over a notification
+}
+
+// notifies everyone @mentioned in `text` who exists; `except` are skipped
+// (e.g. already notified as the video owner)
+export async function notifyMentions(io, { text, actor, video, comment, except = [] }) {
+  const { mentions } = parseTitle(text);
+  if (!mentions.length) return;
+  const skip = new Set(except.map(String));
+  const users = await User.find({ username: { $in: mentions } }).select('_id').lean();
+  for (const u of users) {
+    if (!skip.has(String(u._id))) await notify(io, { user: u._id, type: 'mention', actor, video, comment, text });
+  }
+}
+```
+
+---
+
+### backend/blocks.js
+
+```js
+import User from './models/User.js';
+
+// Blocks work both ways: once either user blocks the other they can't
+// message, follow or notify each other, and each one's videos, comments and
+// account disappear from the other's feeds, search and live pushes.
+
+// true when either user has blocked the other
+export async function isBlocked(a, b) {
+  if (!a || !b) return false;
+  return !!(await User.exists({ $or: [{ _id: a, blocked: b }, { _id: b, blocked: a }] }));
+}
+
+// everyone `userId` has blocked or been blocked by; [] for anonymous viewers
+export async function hiddenUserIds(userId) {
+  if (!userId) return [];
+  const [me, blockers] = await Promise.all([
+    User.findById(userId).select('blocked').lean(),
+    User.find({ blocked: userId }).select('_id').lean(),
+  ]);
+  return [...(me?.blocked || []), ...blockers.map(u => u._id)];
+}
+
+// private accounts `viewerId` neither owns nor follows (all of them for
+// anonymous viewers); their videos are only for their approved followers
+export async function privateAuthorIds(viewerId) {
+  const filter = viewerId ? { private: true, _id: { $ne: viewerId }, followers: { $ne: viewerId } } : { private: true };
+  return (await User.find(filter).select('_id').lean()).map(u => u._id);
+}
+
+// authors whose videos `viewerId` must not be shown: blocks either way plus
+// private accounts they don't follow
+export async function hiddenAuthorIds(viewerId) {
+  const [blocked, closed] = await Promise.all([hiddenUserIds(viewerId), privateAuthorIds(viewerId)]);
+  return [...blocked, ...closed];
+}
+
+// whether `viewerId` may see (and interact with) what `authorId` posted
+export async function canSeeAuthor(viewerId, authorId) {
+  if (viewerId && String(viewerId) === String(authorId)) return true;
+  if (await isBlocked(viewerId, authorId)) return false;
+  return !(await User.exists({ _id: authorId, private: true, ...(viewerId ? { followers: { $ne: viewerId } } : {}) }));
+}
+
+// Mongo filter leaving out what those users posted
+export const notBy = (hidden, field = 'user') => (hidden.length ? { [field]: { $nin: hidden } } : {});
+
+// users with a block either way with any of `userIds`, mapped to which of
+// them; room broadcasts about their content skip these users
+export async function blockRelations(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const related = new Map();
+  const add = (other, id) => {
+    if (!related.has(String(other))) related.set(String(other), new Set());
+    related.get(String(other)).add(String(id));
+  };
+  if (!ids.length) return related;
+  const [own, blockers] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select('blocked').lean(),
+    User.find({ blocked: { $in: ids } }).select('blocked').lean(),
+  ]);
+  for (const u of own) for (const b of u.blocked || []) add(b, u._id);
+  for (const u of blockers) for (const b of u.blocked) if (ids.includes(String(b))) add(u._id, b);
+  return related;
+}
+```
+
+---
+
+### backend/messaging.js
+
+```js
+import Conversation from './models/Conversation.js';
+import Video from './models/Video.js';
+import { presentVideos } from './videoPresenter.js';
+import { hiddenAuthorIds, notBy } from './blocks.js';
+
+// Helpers shared by the conversation REST endpoints and the socket handlers.
+// Delivery goes through the user_<id> rooms, so it reaches every tab and
+// instance via the Redis adapter.
+
+export const conversationKey = (a, b) => [String(a), String(b)].sort().join(':');
+
+export const otherParticipant = (conversation, userId) =>
+  conversation.participants.map(String).find(p => p !== String(userId));
+
+// the conversation, only if `userId` takes part in it
+export function findConversationFor(id, userId) {
+  return Conversation.findOne({ _id: id, participants: userId });
+}
+
+// attaches shared videos as API payloads; videos the viewer may not see
+// (blocked or private authors) come back as null, like deleted ones
+export async function presentMessages(messages, viewerId) {
+  const ids = [...new Set(messages.filter(m => m.video).map(m => String(m.video)))];
+  if (!ids.length) return messages;
+  const videos = await presentVideos(await Video.find({ _id: { $in: ids }, ...notBy(await hiddenAuthorIds(viewerId)) }).lean(), viewerId);
+  const byId = new Map(videos.map(v => [String(v._id), v]));
+  return messages.map(m => (m.video ? { ...m, video: byId.get(String(m.video)) || null } : m));
+}
+
+export function emitToParticipants(io, conversation, event, payload) {
+  for (const p of conversation.participants) io.to(`user_${p}`).emit(event, payload);
+}
+```
+
+---
+
+### backend/loginLockout.js
+
+```js
+import redis from './redisClient.js';
+
+// Progressive lockout per account and client IP: after LOGIN_LOCK_AFTER
+// consecutive failures every further failure locks that account for that IP
+// for twice as long as the previous one (30s, 1m, 2m, … up to an hour).
+// Keying by IP too means someone who only knows a username can't lock its
+// owner out. Failures are also counted per account across all IPs, so
+// rotating addresses doesn't buy fresh attempts: past LOGIN_ACCOUNT_LOCK_AFTER
+// the account locks the same way from everywhere. A successful login resets
+// its pair and the account count, a password reset everything.
+// The per-IP `login` rate limit separately slows down spraying across accounts.
+const LOCK_AFTER = Number(process.env.LOGIN_LOCK_AFTER || 5);
+const ACCOUNT_LOCK_AFTER = Number(process.env.LOGIN_ACCOUNT_LOCK_AFTER || 50);
+const BASE_LOCK_MS = 30 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+const FAILURES_TTL_S = 24 * 3600;
+
+// without `ip`, the account-wide counterparts
+const failuresKey = (id, ip) => (ip ? `login:failures:${id}:${ip}` : `login:failures:${id}`);
+const lockKey = (id, ip) => (ip ? `login:lock:${id}:${ip}` : `login:lock:${id}`);
+const ipsKey = id => `login:ips:${id}`; // IPs with failures on the account
+export const loginId = email => String(email || '').trim().toLowerCase();
+
+const lockMsAfter = (failures, threshold) =>
+  (failures < threshold ? 0 : Math.min(MAX_LOCK_MS, BASE_LOCK_MS * 2 ** (failures - threshold)));
+
+// ms until the account may try again from `ip`, 0 when not locked
+export async function lockedFor(id, ip) {
+  const [pair, account] = await Promise.all([redis.pttl(lockKey(id, ip)), redis.pttl(lockKey(id))]);
+  return Math.max(0, pair, account);
+}
+
+export async function recordFailure(id, ip) {
+  const [[, failures], , , , [, accountFailures]] = await redis.multi()
+    .incr(failuresKey(id, ip)).expire(failuresKey(id, ip), FAILURES_TTL_S)
+    .sadd(ipsKey(id), ip).expire(ipsKey(id), FAILURES_TTL_S)
+    .incr(failuresKey(id)).expire(failuresKey(id), FAILURES_TTL_S)
+    .exec();
+  const pairMs = lockMsAfter(failures, LOCK_AFTER);
+  const accountMs = lockMsAfter(accountFailures, ACCOUNT_LOCK_AFTER);
+  if (pairMs) await redis.set(lockKey(id, ip), '1', 'PX', pairMs);
+  if (accountMs) await redis.set(lockKey(id), '1', 'PX', accountMs);
+  return Math.max(pairMs, accountMs);
+}
+
+// after a successful login from `ip`: clears the pair and the account count;
+// without `ip`, every failure and lock
+export async function clearFailures(id, ip) {
+  const ips = ip ? [ip] : await redis.smembers(ipsKey(id));
+  const keys = [...ips.flatMap(i => [failuresKey(id, i), lockKey(id, i)]), failuresKey(id)];
+  if (ip) await redis.srem(ipsKey(id), ip);
+  else keys.push(ipsKey(id), lockKey(id));
+  await redis.del(...keys);
+}
+```
+
+---
+
+### backend/uploadQuota.js
+
+```js
+import redis from './redisClient.js';
+import Video from './models/Video.js';
+
+// Bytes each account may upload per UTC day, on top of the per-file
+// MAX_UPLOAD_MB cap and the `upload` rate limit. Uploads that are aborted,
+// abandoned or fail processing give their bytes back to the day they were
+// charged to.
+const DAILY_BYTES = Number(process.env.UPLOAD_DAILY_MB || 2048) * 1024 * 1024;
+const quotaKey = (userId, day) => `quota:upload:${userId}:${day}`;
+
+const msUntilMidnight = () => {
+  const end = new Date();
+  end.setUTCHours(24, 0, 0, 0);
+  return end - Date.now();
+};
+
+// reserves `bytes` of today's quota; { ok: true, day } or { ok: false, retryAfterMs }
+// when it would be exceeded
+export async function reserveUploadBytes(userId, bytes) {
+  const day = new Date().toISOString().slice(0, 10);
+  const key = quotaKey(userId, day);
+  const [[, used]] = await redis.multi().incrby(key, bytes).expire(key, 48 * 3600).exec();
+  if (used <= DAILY_BYTES) return { ok: true, day };
+  await redis.decrby(key, bytes);
+  return { ok: false, retryAfterMs: msUntilMidnight() };
+}
+
+// gives back a reservation; days whose counter already expired are left alone
+export async function releaseUploadBytes(userId, bytes, day) {
+  const key = quotaKey(userId, day);
+  try {
+    if (bytes > 0 && await redis.exists(key)) await redis.decrby(key, bytes);
+  } catch (err) { console.error('Upload quota refund failed', err.message); }
+}
+
+// refunds a video's upload charge, at most once
+export async function refundVideoUpload(videoId) {
+  const video = await Video.findOneAndUpdate({ _id: videoId, 'uploadCharge.bytes': { $gt: 0 } }, { $unset: { uploadCharge: 1 } })
+    .select('user uploadCharge').lean();
+  if (video) await releaseUploadBytes(video.user, video.uploadCharge.bytes, video.uploadCharge.day);
+}
+
+// the charge ({ bytes, day }) when the upload fits; otherwise responds 429
+// and returns false
+export async function checkUploadQuota(res, userId, bytes) {
+  const { ok, day, retryAfterMs } = await reserveUploadBytes(userId, bytes);
+  if (ok) return { bytes, day };
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  res.status(429).json({ error: `Daily upload limit of ${DAILY_BYTES / 1024 / 1024} MB reached` });
+  return false;
+}
+```
+
+---
+
+### backend/suspensions.js
+
+```js
+import redis from './redisClient.js';
+import User from './models/User.js';
+
+// User.suspendedUntil is the source of truth; it is mirrored into
+// suspended:<id> (expiring with the suspension) so the auth middleware can
+// check every request and socket handshake without a Mongo lookup.
+const key = id => `suspended:${id}`;
+
+export async function markSuspended(userId, until) {
+  await redis.set(key(userId), '1', 'PX', Math.max(1, until - Date.now()));
+}
+
+export const clearSuspended = userId => redis.del(key(userId));
+
+// fails open like the rate limiter: a Redis outage must not lock everyone out
+export async function isSuspended(userId) {
+  try { return (await redis.exists(key(userId))) === 1; }
+  catch (err) { console.error('suspension check failed', err.message); return false; }
+}
+
+// re-mirrors active suspensions at startup, in case Redis lost them
+export async function restoreSuspensions() {
+  const users = await User.find({ suspendedUntil: { $gt: new Date() } }).select('suspendedUntil').lean();
+  await Promise.all(users.map(u => markSuspended(u._id, u.suspendedUntil)));
+}
+```
+
+---
+
+### backend/moderation.js
+
+```js
+import Report from './models/Report.js';
+import AuditLog from './models/AuditLog.js';
+import Video from './models/Video.js';
+import User from './models/User.js';
+import { presentVideos } from './videoPresenter.js';
+
+const SAMPLES = 5; // report texts shown per queue entry
+
+export const targetKey = (type, id) => `${type}:${id}`;
+
+// closes the target's open reports; returns their ids for the audit entry
+export async function closeReports(key, moderator, status, resolution) {
+  const ids = (await Report.find({ targetKey: key, status: 'open' }).select('_id').lean()).map(r => r._id);
+  if (ids.length) await Report.updateMany({ _id: { $in: ids } }, { $set: { status, resolution, resolvedBy: moderator } });
+  return ids;
+}
+
+// entry: { targetType, target, note?, reports?, details? }
+export function audit(actor, action, entry) {
+  return AuditLog.create({ actor, action, ...entry });
+}
+
+// Open reports grouped by target, most reported first. Videos are included
+// whatever their status, so moderators can still see hidden ones.
+export async function reportQueue(offset, limit) {
+  const groups = await Report.aggregate([
+    { $match: { status: 'open' } },
+    { $sort: { createdAt: -1 } },
+    { $group: {
+      _id: '$targetKey',
+      targetType: { $first: '$targetType' },
+      video: { $first: '$video' },
+      user: { $first: '$user' },
+      count: { $sum: 1 },
+      reasons: { $push: '$reason' },
+      latest: { $first: '$createdAt' },
+      samples: { $push: { reason: '$reason', details: '$details', reporter: '$reporter', createdAt: '$createdAt' } },
+    } },
+    { $sort: { count: -1, latest: -1, _id: 1 } },
+    { $skip: offset },
+    { $limit: limit + 1 },
+    { $project: { targetType: 1, video: 1, user: 1, count: 1, reasons: 1, latest: 1, samples: { $slice: ['$samples', SAMPLES] } } },
+  ]);
+
+  const videos = await Video.find({ _id: { $in: groups.map(g => g.video).filter(Boolean) } })
+    .populate('user', 'username suspendedUntil').lean();
+  const videosById = new Map((await presentVideos(videos, null, { staff: true })).map(v => [String(v._id), v]));
+  const users = await User.find({ _id: { $in: groups.map(g => g.user).filter(Boolean) } })
+    .select('username role suspendedUntil createdAt').lean();
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+  await Report.populate(groups, { path: 'samples.reporter', model: 'User', select: 'username' });
+
+  return groups.map(({ reasons, video, user, ...g }) => {
+    const byReason = {};
+    for (const r of reasons) byReason[r] = (byReason[r] || 0) + 1;
+    return {
+      ...g,
+      reasons: byReason,
+      video: video ? videosById.get(String(video)) || null : undefined, // null once deleted
+      user: user ? usersById.get(String(user)) || null : undefined,
+    };
+  });
+}
+```
+
+---
+
+### backend/feedEvents.js
+
+```js
+import redis from './redisClient.js';
+
+// Feed events (new videos from people you follow, processing results,
+// trending diffs, takedowns) are appended to a per-room Redis Stream before
+// they are emitted, and carry the stream id as their sequence number:
+//   emit(event, payload, { room, seq })
+// Clients send the last seq they saw per room with every handshake
+// (auth.lastSeen) and get what they missed replayed. Streams keep
+// FEED_REPLAY_MINUTES of history; a client that was away longer, or missed
+// more than REPLAY_MAX events, gets `feed-resync` and reloads over REST.
+// Needs Redis >= 6.2 (XADD MINID, exclusive XRANGE).
+const RETENTION_MS = Number(process.env.FEED_REPLAY_MINUTES || 60) * 60 * 1000;
+const REPLAY_MAX = 200;
+
+export const EVERYONE = 'all'; // pseudo-room for io.emit broadcasts
+const streamKey = room => `feed:stream:${room}`;
+const isSeq = seq => typeof seq === 'string' && /^\d+-\d+$/.test(seq);
+const seqTime = seq => Number(seq.split('-')[0]);
+// stream ids from different rooms come from the same Redis clock, so they
+// order events across rooms too
+const bySeq = (a, b) => seqTime(a.seq) - seqTime(b.seq) || Number(a.seq.split('-')[1]) - Number(b.seq.split('-')[1]);
+
+// appends to each room's stream in one round trip, then emits; when Redis is
+// down the event still goes out live, just without a seq. `except` lists
+// users who must not get it (blocks), live or replayed.
+export async function publishFeedEvent(io, rooms, event, payload, { except = [] } = {}) {
+  rooms = [].concat(rooms);
+  if (!rooms.length) return;
+  const skip = except.map(String);
+  let results = [];
+  try {
+    const minId = String(Date.now() - RETENTION_MS);
+    const fields = ['event', event, 'payload', JSON.stringify(payload), ...(skip.length ? ['except', JSON.stringify(skip)] : [])];
+    const pipeline = redis.pipeline();
+    for (const room of rooms) {
+      pipeline.xadd(streamKey(room), 'MINID', '~', minId, '*', ...fields);
+      pipeline.pexpire(streamKey(room), RETENTION_MS); // idle rooms disappear
+    }
+    results = await pipeline.exec();
+  } catch (err) { console.error('feed stream append failed', err.message); }
+  rooms.forEach((room, i) => {
+    const [err, seq] = results[i * 2] || [true];
+    (room === EVERYONE ? io : io.to(room)).except(skip.map(u => `user_${u}`)).emit(event, payload, err ? { room } : { room, seq });
+  });
+}
+
+// the newest seq in a room, or the current Redis time when the stream is empty
+async function headOf(room) {
+  const [head] = await redis.xrevrange(streamKey(room), '+', '-', 'COUNT', 1);
+  if (head) return head[0];
+  const [s, us] = await redis.time();
+  return `${Number(s) * 1000 + Math.floor(Number(us) / 1000) - 1}-0`;
+}
+
+// called once the socket has joined `rooms`: replays what it missed since
+// lastSeen, merged across rooms in seq order (a takedown must not arrive
+// before the older upload it removes), and gives rooms it has no position
+// for a starting seq
+export async function replayFeedEvents(socket, rooms, lastSeen) {
+  const seen = lastSeen && typeof lastSeen === 'object' ? lastSeen : {};
+  const missed = [];
+  for (const room of rooms) {
+    const since = seen[room];
+    if (!isSeq(since)) {
+      socket.emit('feed-seq', { room, seq: await headOf(room) });
+      continue;
+    }
+    if (seqTime(since) < Date.now() - RETENTION_MS) {
+      socket.emit('feed-resync', { room });
+      continue;
+    }
+    const entries = await redis.xrange(streamKey(room), `(${since}`, '+', 'COUNT', REPLAY_MAX + 1);
+    if (entries.length > REPLAY_MAX) {
+      socket.emit('feed-resync', { room });
+      continue;
+    }
+    for (const [seq, fields] of entries) {
+      const f = {};
+      for (let i = 0; i < fields.length; i += 2) f[fields[i]] = fields[i + 1];
+      if (f.except && socket.userId && JSON.parse(f.except).includes(socket.userId)) continue;
+      missed.push({ room, seq, event: f.event, payload: f.payload });
+    }
+  }
+  for (const { room, seq, event, payload } of missed.sort(bySeq)) {
+    socket.emit(event, JSON.parse(payload), { room, seq, replay: true });
+  }
+}
+```
+
+---
+
+### backend/liveCounts.js
+
+```js
+import redis from './redisClient.js';
+import Video from './models/Video.js';
+
+// Live like/comment/viewer counts for everyone watching a video (video_<id>).
+// Changes are not pushed per event: each instance marks videos dirty and
+// every LIVE_COUNTS_MS emits one `video-stats` per changed video with just
+// the fields that changed. Counts are sent as current totals, so a client
+// that already applied its own like from the REST response doesn't count
+// it twice, and a viral video costs one emit per interval however busy it is.
+//
+// Presence: a ZSET per video of socket ids scored by last heartbeat, shared
+// by all instances. Each instance refreshes the members it holds (the local
+// rooms of its adapter), so sockets of a crashed instance age out.
+const FLUSH_MS = Number(process.env.LIVE_COUNTS_MS || 2000);
+const HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_TTL_MS = 3 * HEARTBEAT_MS;
+const ROOM_PREFIX = 'video_';
+const presenceKey = id => `presence:video:${id}`;
+
+const dirtyCounts = new Set();
+const dirtyViewers = new Set();
+
+// after a like/comment counter on the video changed
+export function markCountsChanged(videoId) {
+  dirtyCounts.add(String(videoId));
+}
+
+export async function joinPresence(socketId, videoId) {
+  const key = presenceKey(videoId);
+  await redis.multi().zadd(key, Date.now(), socketId).pexpire(key, PRESENCE_TTL_MS).exec();
+  dirtyViewers.add(videoId);
+}
+
+export async function leavePresence(socketId, videoId) {
+  await redis.zrem(presenceKey(videoId), socketId);
+  dirtyViewers.add(videoId);
+}
+
+// the video ids among a socket's rooms, e.g. on disconnect
+export const watchedVideos = rooms => [...rooms].filter(r => r.startsWith(ROOM_PREFIX)).map(r => r.slice(ROOM_PREFIX.length));
+
+async function flush(io) {
+  const counted = [...dirtyCounts];
+  const watched = [...dirtyViewers];
+  dirtyCounts.clear();
+  dirtyViewers.clear();
+  const changes = new Map();
+
+  if (counted.length) {
+    const videos = await Video.find({ _id: { $in: counted } }).select('likes commentsCount').lean();
+    for (const v of videos) changes.set(String(v._id), { likes: v.likes, commentsCount: v.commentsCount });
+  }
+  if (watched.length) {
+    const since = Date.now() - PRESENCE_TTL_MS;
+    const pipeline = redis.pipeline();
+    watched.forEach(id => pipeline.zcount(presenceKey(id), since, '+inf'));
+    (await pipeline.exec()).forEach(([err, viewers], i) => {
+      if (!err) changes.set(watched[i], { ...changes.get(watched[i]), viewers });
+    });
+  }
+  for (const [id, change] of changes) io.to(`${ROOM_PREFIX}${id}`).emit('video-stats', { _id: id, ...change });
+}
+
+async function heartbeat(io) {
+  const now = Date.now();
+  const pipeline = redis.pipeline();
+  for (const [room, sockets] of io.of('/').adapter.rooms) {
+    if (!room.startsWith(ROOM_PREFIX)) continue;
+    const key = presenceKey(room.slice(ROOM_PREFIX.length));
+    for (const socketId of sockets) pipeline.zadd(key, now, socketId);
+    pipeline.zremrangebyscore(key, '-inf', now - PRESENCE_TTL_MS);
+    pipeline.pexpire(key, PRESENCE_TTL_MS);
+  }
+  if (pipeline.length) await pipeline.exec();
+}
+
+export function startLiveCounts(io) {
+  setInterval(() => flush(io).catch(err => console.error('live counts flush failed', err)), FLUSH_MS);
+  setInterval(() => heartbeat(io).catch(err => console.error('presence heartbeat failed', err)), HEARTBEAT_MS);
+}
+```
+
+---
+
+### backend/authTokens.js
+
+```js
+import crypto from 'crypto';
+import redis from './redisClient.js';
+
+// Single-use, expiring tokens for links sent by email (email verification,
+// password reset). Only a hash is stored, and GETDEL makes redeeming atomic.
+export const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+export const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const key = (purpose, token) => `auth:${purpose}:${hashToken(token)}`;
+
+export async function issueToken(purpose, userId, ttlSeconds) {
+  const token = randomToken();
+  await redis.set(key(purpose, token), String(userId), 'EX', ttlSeconds);
+  return token;
+}
+
+// the user id the token was issued for, or null when unknown, used or expired
+export async function consumeToken(purpose, token) {
+  if (!token || typeof token !== 'string') return null;
+  return redis.getdel(key(purpose, token));
+}
+```
+
+---
+
+### backend/sessions.js
+
+```js
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import redis from './redisClient.js';
+import Session from './models/Session.js';
+import { hashToken, randomToken } from './authTokens.js';
+
+// Access tokens are short-lived JWTs ({ id, sid }) checked without a database
+// lookup; revoking a session also lists its id in Redis until its last access
+// token has expired, so logout takes effect at once. Refresh tokens rotate on
+// every use: presenting one that was already rotated (outside a short grace
+// period for concurrent tabs) means it leaked, and the session is revoked.
+const ACCESS_TTL_S = Number(process.env.ACCESS_TOKEN_MINUTES || 15) * 60;
+const REFRESH_TTL_MS = Number(process.env.REFRESH_TOKEN_DAYS || 30) * 24 * 3600 * 1000;
+const ROTATION_GRACE_MS = 30 * 1000;
+const revokedKey = sid => `auth:revoked:${sid}`;
+
+export class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+function tokensFor(session, secret) {
+  return {
+    token: jwt.sign({ id: String(session.user), sid: String(session._id) }, process.env.JWT_SECRET, { expiresIn: ACCESS_TTL_S }),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+// req supplies the device details shown for the session
+export async function createSession(userId, req) {
+  const secret = randomToken();
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    userAgent: String(req.get('User-Agent') || '').slice(0, 200),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+  });
+  return tokensFor(session, secret);
+}
+
+// exchanges a refresh token for a new pair; throws SessionError
+export async function rotateSession(refreshToken, req) {
+  const [sid, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sid) || !secret) throw new SessionError('Invalid refresh token');
+  const session = await Session.findById(sid).lean();
+  if (!session || session.revokedAt || session.expiresAt < new Date()) throw new SessionError('Session expired');
+
+  const presented = hashToken(secret);
+  if (presented !== session.tokenHash) {
+    if (presented === session.previousHash && Date.now() - session.rotatedAt < ROTATION_GRACE_MS) {
+      throw new SessionError('Refresh token already rotated', 409);
+    }
+    await revoke({ _id: session._id });
+    throw new SessionError('Session expired');
+  }
+
+  const next = randomToken();
+  // conditional on the old hash, so only one of two concurrent refreshes wins
+  const updated = await Session.findOneAndUpdate({ _id: session._id, tokenHash: presented }, {
+    tokenHash: hashToken(next),
+    previousHash: presented,
+    rotatedAt: new Date(),
+    lastUsedAt: new Date(),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+  }, { new: true }).lean();
+  if (!updated) throw new SessionError('Refresh token already rotated', 409);
+  return { ...tokensFor(updated, next), userId: String(updated.user) };
+}
+
+async function revoke(filter) {
+  const ids = (await Session.find({ ...filter, revokedAt: null }).select('_id').lean()).map(s => s._id);
+  if (!ids.length) return 0;
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() });
+  const pipeline = redis.pipeline();
+  for (const id of ids) pipeline.set(revokedKey(id), '1', 'EX', ACCESS_TTL_S);
+  await pipeline.exec();
+  return ids.length;
+}
+
+export const revokeSession = sessionId => revoke({ _id: sessionId });
+export const revokeUserSessions = userId => revoke({ user: userId });
+
+// fails open like the suspension check; access tokens still expire on their own
+export async function isRevoked(sessionId) {
+  try { return (await redis.exists(revokedKey(sessionId))) === 1; }
+  catch (err) { console.error('session check failed', err.message); return false; }
+}
+```
+
+---
+
+### backend/mailer/index.js
+
+```js
+import { createConsoleMailer } from './console.js';
+import { createSmtpMailer } from './smtp.js';
+
+// Mail drivers share one interface:
+//   send({ to, subject, text, html })
+// `console` (the default) only logs messages. `smtp` sends through
+// SMTP_HOST/SMTP_PORT; in development point it at a local catcher such as
+// Mailpit (`docker run -p 1025:1025 -p 8025:8025 axllent/mailpit`).
+const mailer = process.env.MAIL_DRIVER === 'smtp' ? createSmtpMailer() : createConsoleMailer();
+
+export default mailer;
+```
+
+---
+
+### backend/mailer/console.js
+
+```js
+export function createConsoleMailer() {
+  return {
+    driver: 'console',
+    async send({ to, subject, text }) {
+      console.log(`[mail] to=${to} subject=${JSON.stringify(subject)}\n${text}`);
+    },
+  };
+}
+```
+
+---
+
+### backend/mailer/smtp.js
+
+```js
+import nodemailer from 'nodemailer';
+
+export function createSmtpMailer() {
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT || 1025),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  const from = process.env.MAIL_FROM || 'TikLite <no-reply@localhost>';
+
+  return {
+    driver: 'smtp',
+    async send({ to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    },
+  };
+}
+```
+
+---
+
+### backend/mailer/templates.js
+
+```js
+// Emails with a link back to the frontend, e.g. /verify-email?token=…
+const link = (path, token) => `${process.env.FRONTEND_URL}${path}?token=${encodeURIComponent(token)}`;
+
+const escape = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function withLink(user, { subject, intro, action, url, expiresIn }) {
+  return {
+    to: user.email,
+    subject,
+    text: `Hi ${user.username},\n\n${intro}\n${url}\n\nThe link expires in ${expiresIn} and works once. If this wasn't you, ignore this email.`,
+    html: `<p>Hi ${escape(user.username)},</p><p>${escape(intro)}</p><p><a href="${escape(url)}">${escape(action)}</a></p>`
+      + `<p>The link expires in ${escape(expiresIn)} and works once. If this wasn't you, ignore this email.</p>`,
+  };
+}
+
+export const verificationEmail = (user, token, expiresIn) => withLink(user, {
+  subject: 'Confirm your email',
+  intro: 'Confirm your email address to finish setting up your TikLite account:',
+  action: 'Confirm email',
+  url: link('/verify-email', token),
+  expiresIn,
+});
+
+export const passwordResetEmail = (user, token, expiresIn) => withLink(user, {
+  subject: 'Reset your password',
+  intro: 'Someone asked to reset the password of your TikLite account. Choose a new one here:',
+  action: 'Reset password',
+  url: link('/reset-password', token),
+  expiresIn,
+});
+```
+
+---
+
+### backend/recommender/config.js
+
+```js
+import fs from 'fs';
+
+// Every knob of the For You ranking lives here. Defaults can be overridden
+// with a JSON file (RECO_CONFIG=path) holding any subset of these keys;
+// scripts/evaluateRecommender.js takes the same files to compare variants.
+export const DEFAULT_CONFIG = {
+  // score = sum(weight * signal), every signal in [0, 1]
+  weights: {
+    following: 1.0,       // creator is followed
+    creatorAffinity: 1.5, // viewer liked/finished this creator's videos recently
+    tagAffinity: 1.0,     // overlap with hashtags the viewer engaged with
+    completion: 0.8,      // how often the viewer finishes this creator's videos
+    trending: 0.7,        // global trending score, log-scaled against the candidate set
+    freshness: 0.5,       // decays with the video's age
+  },
+  // how much each logged interaction adds to creator/tag affinity
+  interactionWeights: { like: 3, complete: 2, play: 0.5, unlike: -3 },
+  affinityHalfLifeDays: 14,
+  freshnessHalfLifeHours: 48,
+  historySize: 1000,  // most recent interactions read per viewer
+  maxAgeDays: 30,     // older videos only come in through trending
+  candidates: { following: 150, affinity: 150, tags: 150, trending: 100, fresh: 100 },
+  listSize: 200,      // ranked items kept per For You session
+  exploreEvery: 4,    // every Nth slot goes to a video with no personal signal
+  maxPerCreator: 2,   // per `diversityWindow` consecutive items
+  diversityWindow: 8,
+};
+
+const isObject = x => x && typeof x === 'object' && !Array.isArray(x);
+
+export function mergeConfig(base, overrides = {}) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in base)) throw new Error(`Unknown recommender setting: ${key}`);
+    out[key] = isObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return out;
+}
+
+export function loadConfig(file) {
+  if (!file) return DEFAULT_CONFIG;
+  return mergeConfig(DEFAULT_CONFIG, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+export const config = loadConfig(process.env.RECO_CONFIG);
+```
+
+---
+
+### backend/recommender/interactions.js
+
+```js
+import Interaction from '../models/Interaction.js';
+
+// rows: [{ viewer, type, video?, creator, at? }]
+export async function logInteractions(rows) {
+  if (!rows.length) return;
+  try { await Interaction.insertMany(rows, { ordered: false }); }
+  catch (err) { console.error('Interaction log error', err); } // history is best effort
+}
+
+export const logInteraction = row => logInteractions([row]);
+
+// most recent first, as profile.js expects
+export function recentInteractions(viewer, limit) {
+  return Interaction.find({ viewer }).sort({ at: -1, _id: -1 }).limit(limit).lean();
+}
+```
+
+---
+
+### backend/recommender/profile.js
+
+```js
+import { parseTitle } from '../utils/titleTokens.js';
+
+// Pure functions shared by the live service and the offline evaluation, so a
+// replayed log produces exactly the profile the API would have built.
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// videos created before hashtags were stored fall back to parsing the title
+export const tagsOf = video => video.hashtags || parseTitle(video.title).hashtags;
+
+// scales a Map's values into [0, 1]; negative totals are dropped
+function normalize(map) {
+  const max = Math.max(0, ...map.values());
+  const out = new Map();
+  if (max > 0) for (const [k, v] of map) if (v > 0) out.set(k, v / max);
+  return out;
+}
+
+const add = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
+
+// interactions: the viewer's log (any order); videos: Map id -> { user, hashtags }
+// for the videos referenced; following: ids when known (live), otherwise
+// replayed from follow/unfollow rows (offline)
+export function buildProfile({ viewer, userId, interactions, videos, following, now, config }) {
+  const creators = new Map();
+  const tags = new Map();
+  const plays = new Map();
+  const completes = new Map();
+  const seen = new Set();
+  const follows = new Set((following || []).map(String));
+  const halfLife = config.affinityHalfLifeDays * DAY_MS;
+
+  const ordered = [...interactions].sort((a, b) => new Date(a.at) - new Date(b.at) || String(a._id).localeCompare(String(b._id)));
+  for (const row of ordered) {
+    const creator = String(row.creator);
+    if (row.type === 'follow' || row.type === 'unfollow') {
+      if (following) continue;
+      if (row.type === 'follow') follows.add(creator); else follows.delete(creator);
+      continue;
+    }
+    const video = String(row.video);
+    seen.add(video);
+    if (row.type === 'play') add(plays, creator, 1);
+    if (row.type === 'complete') add(completes, creator, 1);
+    const weight = (config.interactionWeights[row.type] || 0) * Math.pow(0.5, (now - new Date(row.at)) / halfLife);
+    if (!weight) continue;
+    add(creators, creator, weight);
+    for (const tag of tagsOf(videos.get(video) || {})) add(tags, tag, weight);
+  }
+
+  // shrunk towards 0 so one finished video doesn't make a perfect score
+  const completion = new Map();
+  for (const [creator, n] of plays) completion.set(creator, Math.min(1, (completes.get(creator) || 0) / (n + 2)));
+
+  return { viewer, userId: userId && String(userId), creators: normalize(creators), tags: normalize(tags), completion, following: follows, seen };
+}
+
+export const topKeys = (map, n) => [...map.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n).map(([k]) => k);
+```
+
+---
+
+### backend/recommender/ranker.js
+
+```js
+import { tagsOf } from './profile.js';
+
+// Scores and orders candidates for one viewer. Deterministic for a given
+// input (ties break on id), which the offline evaluation relies on.
+// Every item carries the per-signal breakdown that produced its score.
+
+const HOUR_MS = 3600 * 1000;
+
+// candidate: { video, sources: Set<'following'|'affinity'|'tags'|'trending'|'fresh'> }
+// ctx: { now, trending: Map id -> decayed trending score }
+export function scoreCandidate({ video, sources }, profile, config, ctx, maxTrending) {
+  const id = String(video._id);
+  const creator = String(video.user);
+  const tags = tagsOf(video);
+  const age = Math.max(0, ctx.now - new Date(video.createdAt));
+  const trending = ctx.trending.get(id) || 0;
+  const signals = {
+    following: profile.following.has(creator) ? 1 : 0,
+    creatorAffinity: profile.creators.get(creator) || 0,
+    tagAffinity: Math.max(0, ...tags.map(t => profile.tags.get(t) || 0)),
+    completion: profile.completion.get(creator) || 0,
+    trending: maxTrending > 0 ? Math.log1p(trending) / Math.log1p(maxTrending) : 0,
+    freshness: Math.pow(0.5, age / (config.freshnessHalfLifeHours * HOUR_MS)),
+  };
+  const reasons = Object.entries(signals)
+    .filter(([, value]) => value > 0)
+    .map(([signal, value]) => ({ signal, value: round(value), weight: config.weights[signal], contribution: round(value * config.weights[signal]) }))
+    .sort((a, b) => b.contribution - a.contribution);
+  return {
+    id,
+    creator,
+    video,
+    score: round(reasons.reduce((s, r) => s + r.contribution, 0)),
+    personal: signals.following > 0 || signals.creatorAffinity > 0 || signals.tagAffinity > 0,
+    sources: [...sources].sort(),
+    reasons,
+  };
+}
+
+const round = x => Math.round(x * 1e4) / 1e4;
+
+// drops seen and own videos, scores the rest, then interleaves: every
+// `exploreEvery`-th slot is taken by the best video with no personal signal
+// (trending/fresh), and no creator appears more than `maxPerCreator` times
+// in any `diversityWindow` consecutive items unless nothing else is left
+export function rankCandidates(candidates, profile, config, ctx) {
+  const eligible = candidates.filter(c => !profile.seen.has(String(c.video._id)) && String(c.video.user) !== profile.userId);
+  const maxTrending = Math.max(0, ...eligible.map(c => ctx.trending.get(String(c.video._id)) || 0));
+  const scored = eligible
+    .map(c => scoreCandidate(c, profile, config, ctx, maxTrending))
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+  const personal = scored.filter(s => s.personal);
+  const explore = scored.filter(s => !s.personal);
+  const out = [];
+  while (out.length < config.listSize && (personal.length || explore.length)) {
+    const exploreSlot = (out.length + 1) % config.exploreEvery === 0;
+    const queue = (exploreSlot && explore.length) || !personal.length ? explore : personal;
+    const window = out.slice(-(config.diversityWindow - 1));
+    const fits = s => window.filter(w => w.creator === s.creator).length < config.maxPerCreator;
+    const i = Math.max(0, queue.findIndex(fits));
+    const [item] = queue.splice(i, 1);
+    out.push(queue === explore && personal.length ? { ...item, explore: true } : item);
+  }
+  return out;
+}
+```
+
+---
+
+### backend/recommender/index.js
+
+```js
+import redis from '../redisClient.js';
+import Video, { PUBLISHED } from '../models/Video.js';
+import User from '../models/User.js';
+import { topTrending } from '../trendingScore.js';
+import { config } from './config.js';
+import { recentInteractions } from './interactions.js';
+import { buildProfile, topKeys } from './profile.js';
+import { rankCandidates } from './ranker.js';
+
+// For You: candidates come from followed creators, creators and hashtags the
+// viewer engaged with, trending and fresh uploads; ranker.js orders them.
+// Like the trending feed, a ranking is frozen per session so scrolling reads
+// a stable list: foryou:<viewer>:<version> holds one JSON entry per item.
+const SESSION_TTL_S = 30 * 60;
+const DAY_MS = 24 * 3600 * 1000;
+const sessionKey = (viewer, version) => `foryou:${viewer}:${version}`;
+
+async function gatherCandidates(profile, now) {
+  const recent = { ...PUBLISHED, createdAt: { $gte: new Date(now - config.maxAgeDays * DAY_MS) } };
+  const fields = 'hashtags title user createdAt';
+  const { candidates: n } = config;
+  const affinity = topKeys(profile.creators, 50);
+  const tags = topKeys(profile.tags, 20);
+  const trending = await topTrending(0, n.trending, now);
+
+  const [following, liked, tagged, fresh, hot] = await Promise.all([
+    profile.following.size ? Video.find({ ...recent, user: { $in: [...profile.following] } }).sort({ createdAt: -1 }).limit(n.following).select(fields).lean() : [],
+    affinity.length ? Video.find({ ...recent, user: { $in: affinity } }).sort({ createdAt: -1 }).limit(n.affinity).select(fields).lean() : [],
+    tags.length ? Video.find({ ...recent, hashtags: { $in: tags } }).sort({ createdAt: -1 }).limit(n.tags).select(fields).lean() : [],
+    Video.find(recent).sort({ createdAt: -1 }).limit(n.fresh).select(fields).lean(),
+    Video.find({ _id: { $in: trending.map(t => t.id) }, ...PUBLISHED }).select(fields).lean(),
+  ]);
+
+  const byId = new Map();
+  for (const [source, videos] of Object.entries({ following, affinity: liked, tags: tagged, fresh, trending: hot })) {
+    for (const video of videos) {
+      const id = String(video._id);
+      if (!byId.has(id)) byId.set(id, { video, sources: new Set() });
+      byId.get(id).sources.add(source);
+    }
+  }
+  return { candidates: [...byId.values()], trending: new Map(trending.map(t => [t.id, t.score])) };
+}
+
+export async function recommend(viewer, userId, now = Date.now()) {
+  const [interactions, user] = await Promise.all([
+    recentInteractions(viewer, config.historySize),
+    userId ? User.findById(userId).select('following').lean() : null,
+  ]);
+  const videoIds = [...new Set(interactions.filter(i => i.video).map(i => String(i.video)))];
+  const videos = new Map((await Video.find({ _id: { $in: videoIds } }).select('hashtags title user').lean()).map(v => [String(v._id), v]));
+  const profile = buildProfile({ viewer, userId, interactions, videos, following: user ? user.following : null, now, config });
+  const { candidates, trending } = await gatherCandidates(profile, now);
+  const ranked = rankCandidates(candidates, profile, config, { now, trending });
+  if (ranked.length >= config.listSize) return ranked;
+
+  // the viewer has seen nearly everything on offer: top the list up with seen
+  // candidates (followed, liked, trending...) rather than ending the feed
+  const taken = new Set(ranked.map(r => r.id));
+  const rewatch = rankCandidates(candidates.filter(c => !taken.has(String(c.video._id))), { ...profile, seen: new Set() }, config, { now, trending });
+  return [...ranked, ...rewatch.slice(0, config.listSize - ranked.length).map(r => ({ ...r, rewatch: true }))];
+}
+
+// returns { version, entries: [{ id, score, reasons, sources, explore, rewatch }] }
+export async function forYouPage(viewer, userId, version, offset, limit) {
+  if (version && await redis.exists(sessionKey(viewer, version))) {
+    const rows = await redis.lrange(sessionKey(viewer, version), offset, offset + limit - 1);
+    return { version, offset, entries: rows.map(r => JSON.parse(r)) };
+  }
+  // new session (or the old one expired): rank again from the top; anything
+  // the viewer played meanwhile is now excluded as seen
+  const now = Date.now();
+  const ranked = await recommend(viewer, userId, now);
+  const rows = ranked.map(({ id, score, reasons, sources, explore, rewatch }) => JSON.stringify({ id, score, reasons, sources, explore: !!explore, rewatch: !!rewatch }));
+  if (rows.length) await redis.multi().rpush(sessionKey(viewer, now), ...rows).expire(sessionKey(viewer, now), SESSION_TTL_S).exec();
+  return { version: now, offset: 0, entries: rows.slice(0, limit).map(r => JSON.parse(r)) };
+}
+```
+
+---
+
+### backend/storage/index.js
+
+```js
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+// Storage drivers share one interface:
+//   putFile(key, filePath, contentType)   putBuffer(key, buffer, contentType)
+//   concat(keys, destKey, contentType)    download(key, filePath)
+//   getText(key)                          stat(key) -> { size } | null
+//   remove(key)                           removePrefix(prefix)
+//   signedUrl(key, { expiresIn })         presignUpload(key, contentType, { expiresIn }) -> { method, url, headers }
+// Keys are '/'-separated paths such as `videos/<id>/hls/master.m3u8`.
+const storage = process.env.STORAGE_DRIVER === 's3' ? createS3Storage() : createLocalStorage();
+
+export const SIGNED_URL_TTL = Number(process.env.SIGNED_URL_TTL_SECONDS || 3600);
+
+export const contentTypeFor = key =>
+  key.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl'
+    : key.endsWith('.ts') ? 'video/mp2t'
+      : key.endsWith('.jpg') ? 'image/jpeg'
+        : 'application/octet-stream';
+
+export default storage;
+```
+
+---
+
+### backend/storage/local.js
+
+```js
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+// Files live under `root`; URLs point at the /storage routes (localRoutes.js)
+// and carry an HMAC signature with an expiry, mimicking S3 presigned URLs.
+export function createLocalStorage({
+  root = process.env.STORAGE_LOCAL_DIR || 'storage',
+  publicPath = '/storage',
+  secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+} = {}) {
+  const base = path.resolve(root);
+  const filePath = key => {
+    const p = path.resolve(base, key);
+    if (!p.startsWith(base + path.sep)) throw new Error('Invalid storage key');
+    return p;
+  };
+  const sign = (method, key, exp) => crypto.createHmac('sha256', secret).update(`${method}\n${key}\n${exp}`).digest('base64url');
+  const signedPath = (method, key, expiresIn) => {
+    const exp = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicPath}/${key.split('/').map(encodeURIComponent).join('/')}?exp=${exp}&sig=${sign(method, key, exp)}`;
+  };
+
+  return {
+    driver: 'local',
+    filePath,
+
+    verify(method, key, exp, sig) {
+      if (!sig || !(Number(exp) > Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(method, key, exp));
+      const given = Buffer.from(String(sig));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    async putFile(key, file) {
+      const dest = filePath(key);
+      await fsp.mkdir(path.dirname(dest), { recursive: true });
+      await fsp.copyFile(file, dest);
+    },
+
+    async putBuffer(key, buffer) {
+      const dest = filePath(key);
+      await fsp.mkdir(path.dirname(dest), { recursive: true });
+      await fsp.writeFile(dest, buffer);
+    },
+
+    async concat(keys, destKey) {
+      const dest = filePath(destKey);
+      await fsp.mkdir(path.dirname(dest), { recursive: true });
+      const out = fs.createWriteStream(dest);
+      try {
+        for (const key of keys) await pipeline(fs.createReadStream(filePath(key)), out, { end: false });
+        await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+      } catch (err) { out.destroy(); await fsp.rm(dest, { force: true }); throw err; }
+    },
+
+    // used by the signed PUT route; aborts once more than maxBytes arrive
+    async putStream(key, stream, { maxBytes = Infinity } = {}) {
+      const dest = filePath(key);
+      await fsp.mkdir(path.dirname(dest), { recursive: true });
+      let received = 0;
+      const limiter = async function* (source) {
+        for await (const chunk of source) {
+          received += chunk.length;
+          if (received > maxBytes) throw new Error('Upload too large');
+          yield chunk;
+        }
+      };
+      try { await pipeline(stream, limiter, fs.createWriteStream(dest)); }
+      catch (err) { await fsp.rm(dest, { force: true }); throw err; }
+    },
+
+    async download(key, file) { await fsp.copyFile(filePath(key), file); },
+    async getText(key) { return fsp.readFile(filePath(key), 'utf8'); },
+
+    async stat(key) {
+      try { return { size: (await fsp.stat(filePath(key))).size }; }
+      catch (err) { if (err.code === 'ENOENT') return null; throw err; }
+    },
+
+    async remove(key) { await fsp.rm(filePath(key), { force: true }); },
+    async removePrefix(prefix) { await fsp.rm(filePath(prefix.replace(/\/$/, '')), { recursive: true, force: true }); },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) { return signedPath('GET', key, expiresIn); },
+    async presignUpload(key, contentType, { expiresIn = 900 } = {}) {
+      return { method: 'PUT', url: signedPath('PUT', key, expiresIn), headers: { 'Content-Type': contentType } };
+    },
+  };
+}
+```
+
+---
+
+### backend/storage/s3.js
+
+```js
+import fs from 'fs';
+import fsp from 'fs/promises';
+import { pipeline } from 'stream/promises';
+import {
+  S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand,
+  DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command,
+  CreateMultipartUploadCommand, UploadPartCopyCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Works against AWS S3 or any S3-compatible server (MinIO for local testing).
+// S3_PUBLIC_ENDPOINT lets presigned URLs use a host the browser can reach when
+// the backend talks to the bucket over an internal address.
+export function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT || undefined,
+  publicEndpoint = process.env.S3_PUBLIC_ENDPOINT || undefined,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+} = {}) {
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+    : undefined; // fall back to the SDK's default provider chain
+  const client = new S3Client({ region, endpoint, forcePathStyle, credentials });
+  const signer = publicEndpoint ? new S3Client({ region, endpoint: publicEndpoint, forcePathStyle, credentials }) : client;
+
+  const isNotFound = err => err.name === 'NotFound' || err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404;
+
+  return {
+    driver: 's3',
+
+    async putFile(key, file, contentType) {
+      const { size } = await fsp.stat(file);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket, Key: key, Body: fs.createReadStream(file), ContentLength: size, ContentType: contentType,
+      }));
+    },
+
+    async putBuffer(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    // server-side copy of each part into one object; every part but the last
+    // must be at least 5 MB (S3 multipart rule)
+    async concat(keys, destKey, contentType) {
+      const { UploadId } = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: destKey, ContentType: contentType }));
+      try {
+        const Parts = [];
+        for (let i = 0; i < keys.length; i++) {
+          const r = await client.send(new UploadPartCopyCommand({
+            Bucket: bucket, Key: destKey, UploadId, PartNumber: i + 1, CopySource: encodeURI(`${bucket}/${keys[i]}`),
+          }));
+          Parts.push({ ETag: r.CopyPartResult.ETag, PartNumber: i + 1 });
+        }
+        await client.send(new CompleteMultipartUploadCommand({ Bucket: bucket, Key: destKey, UploadId, MultipartUpload: { Parts } }));
+      } catch (err) {
+        await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: destKey, UploadId })).catch(() => {});
+        throw err;
+      }
+    },
+
+    async download(key, file) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      await pipeline(Body, fs.createWriteStream(file));
+    },
+
+    async getText(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body.transformToString();
+    },
+
+    async stat(key) {
+      try { return { size: (await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))).ContentLength }; }
+      catch (err) { if (isNotFound(err)) return null; throw err; }
+    },
+
+    async remove(key) { await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })); },
+
+    async removePrefix(prefix) {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        const objects = (page.Contents || []).map(o => ({ Key: o.Key }));
+        if (objects.length) await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } }));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+      return getSignedUrl(signer, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    // the browser PUTs the file straight to the bucket; size is checked on completion
+    async presignUpload(key, contentType, { expiresIn = 900 } = {}) {
+      const url = await getSignedUrl(signer, new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType }), { expiresIn });
+      return { method: 'PUT', url, headers: { 'Content-Type': contentType } };
+    },
+  };
+}
+```
+
+---
+
+### backend/storage/localRoutes.js
+
+```js
+import express from 'express';
+import storage from './index.js';
+
+// Serves and accepts files for the local driver, standing in for a bucket.
+// Every request must carry a signature minted by storage.signedUrl/presignUpload.
+const router = express.Router();
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 500) * 1024 * 1024;
+
+router.get('/*', (req, res) => {
+  const key = req.params[0];
+  if (!storage.verify('GET', key, req.query.exp, req.query.sig)) return res.status(403).json({ error: 'Invalid or expired link' });
+  res.sendFile(storage.filePath(key), { maxAge: '1h' }, err => {
+    if (err && !res.headersSent) res.status(err.statusCode || 404).end();
+  });
+});
+
+router.put('/*', async (req, res) => {
+  const key = req.params[0];
+  if (!storage.verify('PUT', key, req.query.exp, req.query.sig)) return res.status(403).json({ error: 'Invalid or expired link' });
+  try {
+    await storage.putStream(key, req, { maxBytes: MAX_UPLOAD_BYTES });
+    res.status(200).end();
+  } catch (err) { res.status(err.message === 'Upload too large' ? 413 : 500).json({ error: err.message }); }
+});
+
+export default router;
+```
+
+---
+
+### backend/videoPresenter.js
+
+```js
+import jwt from 'jsonwebtoken';
+import storage, { SIGNED_URL_TTL } from './storage/index.js';
+import User from './models/User.js';
+import { withLikedByMe } from './models/Like.js';
+import { usersById } from './userPresenter.js';
+
+// Turns stored video records into API payloads: storage keys become
+// (signed) URLs for the configured driver and are not exposed themselves.
+// HLS goes through GET /api/videos/:id/hls/*, which signs each segment.
+// `author` is the uploader's public card; `user` stays the plain id.
+// `authors` (from usersById) saves the lookup when presenting a batch.
+// Players can't send an Authorization header, so playlists that aren't public
+// carry a pass instead: `staff` (moderation views only) opens hidden videos
+// for reviewers, and private accounts' videos get one for whoever they are
+// presented to (callers only present what the viewer may see).
+// `privateAuthors` (a Set of ids) saves the lookup when presenting a batch.
+export async function presentVideo(video, authors, { staff = false, privateAuthors } = {}) {
+  const { storageKey, hlsKey, thumbnailKey, ...out } = video;
+  if (hlsKey) {
+    const closed = !staff && (privateAuthors ? privateAuthors.has(String(video.user)) : !!(await User.exists({ _id: video.user, private: true })));
+    const pass = staff || closed ? `?pass=${playlistPass(video._id, { staff })}` : '';
+    out.hlsUrl = `/api/videos/${video._id}/hls/master.m3u8${pass}`;
+  }
+  else if (storageKey && video.status === 'ready') out.url = await storage.signedUrl(storageKey, { expiresIn: SIGNED_URL_TTL });
+  if (thumbnailKey) out.thumbnailUrl = await storage.signedUrl(thumbnailKey, { expiresIn: SIGNED_URL_TTL });
+  out.author = (authors || await usersById([video.user])).get(String(video.user)) || null;
+  return out;
+}
+
+export async function presentVideos(videos, viewerId, { staff = false } = {}) {
+  const authors = await usersById(videos.map(v => v.user));
+  const privateAuthors = staff ? null : new Set((await User.find({ _id: { $in: videos.map(v => v.user) }, private: true }).select('_id').lean()).map(u => String(u._id)));
+  return Promise.all((await withLikedByMe(videos, viewerId)).map(v => presentVideo(v, authors, { staff, privateAuthors })));
+}
+
+// short-lived and bound to one video; access tokens (which carry a session)
+// and passes can't stand in for each other. Only staff passes open videos
+// that aren't published.
+export const playlistPass = (videoId, { staff = false } = {}) =>
+  jwt.sign({ vid: String(videoId), scope: 'playlist', ...(staff ? { staff: true } : {}) }, process.env.JWT_SECRET, { expiresIn: SIGNED_URL_TTL });
+
+// null when `pass` isn't a valid pass for the video, else { staff }
+export function readPlaylistPass(pass, videoId) {
+  try {
+    const payload = jwt.verify(String(pass || ''), process.env.JWT_SECRET);
+    return payload.scope === 'playlist' && payload.vid === String(videoId) ? { staff: !!payload.staff } : null;
+  } catch (err) { return null; }
+}
+```
+
+---
+
+### backend/userPresenter.js
+
+```js
+import User from './models/User.js';
+import storage, { SIGNED_URL_TTL } from './storage/index.js';
+
+// Public user payloads: the avatar's storage key becomes a signed URL, the
+// same way videoPresenter.js handles video files.
+export const CARD_FIELDS = 'username displayName avatarKey';
+
+export async function presentUser(user) {
+  const { avatarKey, ...out } = user;
+  out.avatarUrl = avatarKey ? await storage.signedUrl(avatarKey, { expiresIn: SIGNED_URL_TTL }) : null;
+  return out;
+}
+
+// id -> public card (username, display name, avatar) for each existing user
+export async function usersById(ids) {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  if (!unique.length) return new Map();
+  const users = await User.find({ _id: { $in: unique } }).select(CARD_FIELDS).lean();
+  return new Map(await Promise.all(users.map(async u => [String(u._id), await presentUser(u)])));
+}
+```
+
+---
+
+### backend/scheduler.js
+
+```js
+import cron from 'node-cron';
+import crypto from 'crypto';
+import os from 'os';
+import redis from './redisClient.js';
+
+// Every backend instance registers the same cron jobs; Redis decides which
+// one actually runs each tick:
+//  - a per-tick claim (`scheduler:tick:<job>:<minute>`) so a tick runs once
+//    even if instances' clocks fire a few seconds apart
+//  - a per-job lock (`scheduler:lock:<job>`) with a TTL that is renewed while
+//    the job runs, so runs never overlap and a crashed runner's lock expires
+//    and the next tick is picked up by a surviving instance
+// Ticks are identified by minute, so jobs must not be scheduled more often than that.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const LOCK_TTL_MS = Number(process.env.SCHEDULER_LOCK_TTL_MS || 30000);
+const TICK_TTL_MS = 5 * 60 * 1000;
+const tasks = new Map();
+
+// KEYS: lock  ARGV: owner, ttlMs
+redis.defineCommand('renewLock', {
+  numberOfKeys: 1,
+  lua: `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end`,
+});
+redis.defineCommand('releaseLock', {
+  numberOfKeys: 1,
+  lua: `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end`,
+});
+
+async function runExclusive(name, fn, lockTtlMs) {
+  const minute = Math.floor(Date.now() / 60000);
+  const claimed = await redis.set(`scheduler:tick:${name}:${minute}`, INSTANCE_ID, 'PX', TICK_TTL_MS, 'NX');
+  if (claimed !== 'OK') return;
+  const lockKey = `scheduler:lock:${name}`;
+  const locked = await redis.set(lockKey, INSTANCE_ID, 'PX', lockTtlMs, 'NX');
+  if (locked !== 'OK') return console.log(`Job ${name} still running elsewhere, skipping tick`);
+
+  // long jobs can watch `signal.aborted` and stop early once the lock is lost
+  const controller = new AbortController();
+  const renew = setInterval(async () => {
+    const ok = await redis.renewLock(lockKey, INSTANCE_ID, lockTtlMs).catch(() => 0);
+    if (!ok) { controller.abort(); clearInterval(renew); console.error(`Job ${name} lost its lock`); }
+  }, Math.floor(lockTtlMs / 3));
+
+  const started = Date.now();
+  try {
+    console.log(`Running job ${name}...`);
+    await fn(controller.signal);
+    console.log(`Job ${name} finished in ${Date.now() - started}ms`);
+  } catch (err) {
+    console.error(`Job ${name} failed`, err);
+  } finally {
+    clearInterval(renew);
+    await redis.releaseLock(lockKey, INSTANCE_ID).catch(() => {});
+  }
+}
+
+// registers a cron job that runs on exactly one instance per tick
+export function registerJob(name, expression, fn, { lockTtlMs = LOCK_TTL_MS } = {}) {
+  if (tasks.has(name)) throw new Error(`Job ${name} already registered`);
+  const task = cron.schedule(expression, () => runExclusive(name, fn, lockTtlMs).catch(err => console.error(`Scheduler error (${name})`, err)));
+  tasks.set(name, task);
+  return task;
+}
+
+export function stopScheduler() {
+  tasks.forEach(task => task.stop());
+  tasks.clear();
+}
+```
+
+---
+
+### backend/timeline.js
+
+```js
+import mongoose from 'mongoose';
+import redis from './redisClient.js';
+import User from './models/User.js';
+import Video, { PUBLISHED } from './models/Video.js';
+import { decodeCursor, NEWEST_FIRST, afterCursor } from './utils/cursor.js';
+import { blockRelations } from './blocks.js';
+
+// Following timelines are precomputed per user in a Redis ZSET
+// (member = video id, score = createdAt ms) and written when a video is
+// published. Accounts with very many followers are "celebrities": their
+// posts are not pushed into millions of timelines but pulled at read time.
+const MAX_LENGTH = Number(process.env.TIMELINE_MAX_LENGTH || 800);
+const CELEBRITY_FOLLOWERS = Number(process.env.TIMELINE_CELEBRITY_FOLLOWERS || 10000);
+const TTL_S = 30 * 24 * 3600; // inactive users' timelines are dropped and rebuilt on return
+const CELEBRITIES_KEY = 'timeline:celebrities';
+const FANOUT_BATCH = 1000;
+
+const timelineKey = uid => `timeline:${uid}`;
+const builtKey = uid => `timeline:${uid}:built`; // a ZSET can't exist empty, so completeness is tracked separately
+
+async function followerCount(userId) {
+  const [row] = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(userId)) } },
+    { $project: { n: { $size: { $ifNull: ['$followers', []] } } } },
+  ]);
+  return row?.n || 0;
+}
+
+// celebrity status is sticky: their older posts may already be in timelines,
+// and read-time dedupe makes pulling them as well harmless
+export async function refreshCelebrity(userId) {
+  if (await followerCount(userId) >= CELEBRITY_FOLLOWERS) await redis.sadd(CELEBRITIES_KEY, String(userId));
+}
+
+async function isCelebrity(userId) {
+  return (await redis.sismember(CELEBRITIES_KEY, String(userId))) === 1;
+}
+
+// the celebrities among the accounts `userId` follows, intersected inside Mongo
+// so the (possibly huge) following array never leaves the database
+async function followedCelebrities(userId) {
+  const celebs = await redis.smembers(CELEBRITIES_KEY);
+  if (!celebs.length) return [];
+  const [row] = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(userId)) } },
+    { $project: { c: { $setIntersection: [{ $ifNull: ['$following', []] }, celebs.map(id => new mongoose.Types.ObjectId(id))] } } },
+  ]);
+  return row?.c || [];
+}
+
+function addToTimeline(pipeline, uid, videos) {
+  const args = videos.flatMap(v => [new Date(v.createdAt).getTime(), String(v._id)]);
+  if (!args.length) return;
+  pipeline.zadd(timelineKey(uid), ...args);
+  pipeline.zremrangebyrank(timelineKey(uid), 0, -(MAX_LENGTH + 1));
+}
+
+// push a newly published video into every follower's timeline; returns the
+// follower ids, for the live push (celebrities' timelines are not written)
+export async function fanOutVideo(video) {
+  const authorId = String(video.user);
+  await refreshCelebrity(authorId);
+  const author = await User.findById(authorId).select('followers').lean();
+  const blocked = await blockRelations([authorId]); // blocking also unfollows; this covers races
+  const followers = (author?.followers || []).map(String).filter(f => !blocked.has(f));
+  if (await isCelebrity(authorId)) return followers;
+  for (let i = 0; i < followers.length; i += FANOUT_BATCH) {
+    const pipeline = redis.pipeline();
+    followers.slice(i, i + FANOUT_BATCH).forEach(f => addToTimeline(pipeline, f, [video]));
+    await pipeline.exec();
+  }
+  return followers;
+}
+
+export async function rebuildTimeline(userId) {
+  const user = await User.findById(userId).select('following').lean();
+  const celebs = new Set(await redis.smembers(CELEBRITIES_KEY));
+  const authors = (user?.following || []).filter(id => !celebs.has(String(id)));
+  const videos = authors.length
+    ? await Video.find({ user: { $in: authors }, ...PUBLISHED }).sort(NEWEST_FIRST).limit(MAX_LENGTH).select('_id createdAt').lean()
+    : [];
+  const pipeline = redis.multi().del(timelineKey(userId));
+  addToTimeline(pipeline, userId, videos);
+  await pipeline.expire(timelineKey(userId), TTL_S).set(builtKey(userId), '1', 'EX', TTL_S).exec();
+}
+
+async function ensureTimeline(userId) {
+  if (!(await redis.exists(builtKey(userId)))) return rebuildTimeline(userId);
+  await redis.multi().expire(timelineKey(userId), TTL_S).expire(builtKey(userId), TTL_S).exec();
+}
+
+// follow: merge the author's recent posts in (celebrities are pulled anyway)
+export async function onFollow(userId, authorId) {
+  await refreshCelebrity(authorId);
+  if (!(await redis.exists(builtKey(userId))) || await isCelebrity(authorId)) return;
+  const videos = await Video.find({ user: authorId, ...PUBLISHED }).sort(NEWEST_FIRST).limit(MAX_LENGTH).select('_id createdAt').lean();
+  const pipeline = redis.pipeline();
+  addToTimeline(pipeline, userId, videos);
+  await pipeline.exec();
+}
+
+// unfollow: drop the author's posts that may be in the timeline
+export async function onUnfollow(userId, authorId) {
+  if (!(await redis.exists(builtKey(userId)))) return;
+  const videos = await Video.find({ user: authorId }).sort(NEWEST_FIRST).limit(MAX_LENGTH).select('_id').lean();
+  if (videos.length) await redis.zrem(timelineKey(userId), ...videos.map(v => String(v._id)));
+}
+
+const newerFirst = (a, b) => (new Date(b.createdAt) - new Date(a.createdAt)) || (String(b._id) > String(a._id) ? 1 : -1);
+
+// returns up to `count` videos after `cursor`, merging the pushed timeline
+// with celebrity posts pulled at read time
+export async function readTimeline(userId, cursor, count) {
+  await ensureTimeline(userId);
+  const c = decodeCursor(cursor);
+  const max = c ? c.createdAt.getTime() : '+inf';
+  const batch = count + 10; // a little slack for entries sharing the cursor's timestamp
+
+  // entries may point at videos deleted or hidden since they were pushed, so
+  // keep reading until the page is full or the timeline runs out
+  const pushed = [];
+  let offset = 0, exhausted = false;
+  while (pushed.length < count && !exhausted) {
+    const flat = await redis.zrevrangebyscore(timelineKey(userId), max, '-inf', 'WITHSCORES', 'LIMIT', offset, batch);
+    offset += flat.length / 2;
+    exhausted = flat.length / 2 < batch;
+    const ids = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      const score = Number(flat[i + 1]);
+      if (!c || score < c.createdAt.getTime() || flat[i] < c.id) ids.push(flat[i]);
+    }
+    if (ids.length) pushed.push(...await Video.find({ _id: { $in: ids }, ...PUBLISHED }).lean());
+  }
+
+  const celebs = await followedCelebrities(userId);
+  const pulled = celebs.length
+    ? await Video.find({ user: { $in: celebs }, ...PUBLISHED, ...afterCursor(cursor) }).sort(NEWEST_FIRST).limit(count).lean()
+    : [];
+
+  // the pushed timeline is capped; past its end fall back to querying Mongo
+  let older = [];
+  const capped = (await redis.zcard(timelineKey(userId))) >= MAX_LENGTH;
+  if (pushed.length < count && capped) {
+    const oldest = pushed.length ? pushed.reduce((a, b) => (newerFirst(a, b) < 0 ? b : a)) : null;
+    const user = await User.findById(userId).select('following').lean();
+    const from = oldest ? { $or: [{ createdAt: { $lt: oldest.createdAt } }, { createdAt: oldest.createdAt, _id: { $lt: oldest._id } }] } : afterCursor(cursor);
+    older = await Video.find({ user: { $in: user?.following || [] }, ...PUBLISHED, ...from }).sort(NEWEST_FIRST).limit(count).lean();
+  }
+
+  const seen = new Set();
+  return [...pushed, ...pulled, ...older]
+    .filter(v => !seen.has(String(v._id)) && seen.add(String(v._id)))
+    .sort(newerFirst)
+    .slice(0, count);
+}
+```
+
+---
+
+### backend/trendingScore.js
+
+```js
+import redis from './redisClient.js';
+
+// Trending scores live in a Redis ZSET. Each engagement adds
+//   weight * 2^((t - epoch) / halfLife)
+// so older events are worth exponentially less than newer ones while the
+// ZSET ordering never has to be recomputed. The cron job periodically
+// rebases the scores onto a fresh epoch (keeping the numbers small) and prunes.
+export const TRENDING_KEY = 'trending:scores';
+const EPOCH_KEY = 'trending:epoch';
+
+export const HALF_LIFE_MS = Number(process.env.TREND_HALF_LIFE_HOURS || 6) * 3600 * 1000;
+export const WEIGHTS = {
+  like: Number(process.env.TREND_WEIGHT_LIKE || 1),
+  comment: Number(process.env.TREND_WEIGHT_COMMENT || 2),
+  view: Number(process.env.TREND_WEIGHT_VIEW || 0.1),
+  share: Number(process.env.TREND_WEIGHT_SHARE || 3),
+};
+const MIN_SCORE = Number(process.env.TREND_MIN_SCORE || 1);
+const MAX_SIZE = Number(process.env.TREND_MAX_SIZE || 1000);
+
+// KEYS: scores, epoch  ARGV: weight, member, now, halfLifeMs
+// A retraction is weighted as of now, so it can outweigh the decayed event it
+// undoes; scores are clamped at zero (the member is dropped) rather than left
+// negative, where they would cancel out later engagement.
+redis.defineCommand('trendingIncr', {
+  numberOfKeys: 2,
+  lua: `
+    local epoch = tonumber(redis.call('GET', KEYS[2]))
+    if not epoch then epoch = tonumber(ARGV[3]); redis.call('SET', KEYS[2], ARGV[3]) end
+    local inc = tonumber(ARGV[1]) * math.pow(2, (tonumber(ARGV[3]) - epoch) / tonumber(ARGV[4]))
+    local score = redis.call('ZINCRBY', KEYS[1], inc, ARGV[2])
+    if tonumber(score) <= 0 then redis.call('ZREM', KEYS[1], ARGV[2]); return '0' end
+    return score`,
+});
+
+// KEYS: scores, epoch  ARGV: now, halfLifeMs, minScore, maxSize
+redis.defineCommand('trendingRebase', {
+  numberOfKeys: 2,
+  lua: `
+    local now = tonumber(ARGV[1])
+    local epoch = tonumber(redis.call('GET', KEYS[2]) or ARGV[1])
+    local factor = math.pow(2, -(now - epoch) / tonumber(ARGV[2]))
+    if redis.call('EXISTS', KEYS[1]) == 1 then
+      redis.call('ZUNIONSTORE', KEYS[1], 1, KEYS[1], 'WEIGHTS', factor)
+    end
+    redis.call('SET', KEYS[2], ARGV[1])
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', '(' .. ARGV[3])
+    redis.call('ZREMRANGEBYRANK', KEYS[1], 0, -(tonumber(ARGV[4]) + 1))
+    return redis.call('ZCARD', KEYS[1])`,
+});
+
+// kind: like | comment | view | share; count < 0 retracts (unlike, deleted comment)
+export async function recordEngagement(videoId, kind, count = 1, at = Date.now()) {
+  const weight = (WEIGHTS[kind] || 0) * count;
+  if (!weight) return;
+  try { await redis.trendingIncr(TRENDING_KEY, EPOCH_KEY, weight, String(videoId), at, HALF_LIFE_MS); }
+  catch (err) { console.error('Trending score error', err); } // never fail the user's request over scoring
+}
+
+export async function rebaseAndPrune(now = Date.now()) {
+  return redis.trendingRebase(TRENDING_KEY, EPOCH_KEY, now, HALF_LIFE_MS, MIN_SCORE, MAX_SIZE);
+}
+
+// Paginating the live ZSET would shuffle items between pages as scores move,
+// so each job run freezes a copy of the ranking; cursors name the copy they
+// started from and keep reading it until it expires.
+const FROZEN_PREFIX = 'trending:frozen:';
+const FROZEN_CURRENT = 'trending:frozen:current';
+const FROZEN_TTL_S = 15 * 60;
+
+// call right after rebaseAndPrune, so the copy's epoch is `now`
+export async function freezeRanking(now = Date.now()) {
+  const key = FROZEN_PREFIX + now;
+  await redis.multi()
+    .zunionstore(key, 1, TRENDING_KEY)
+    .expire(key, FROZEN_TTL_S)
+    .set(FROZEN_CURRENT, String(now), 'EX', FROZEN_TTL_S)
+    .exec();
+  return now;
+}
+
+// returns { version, entries } where version identifies the frozen copy read;
+// falls back to the current copy (or the live ZSET before the first job run)
+export async function rankingPage(version, offset, limit, now = Date.now()) {
+  let v = version && await redis.exists(FROZEN_PREFIX + version) ? Number(version) : null;
+  if (!v) v = Number(await redis.get(FROZEN_CURRENT)) || null;
+  if (!v) return { version: null, entries: await topTrending(offset, limit, now) };
+  const flat = await redis.zrevrange(FROZEN_PREFIX + v, offset, offset + limit - 1, 'WITHSCORES');
+  const decay = Math.pow(2, -(now - v) / HALF_LIFE_MS);
+  const entries = [];
+  for (let i = 0; i < flat.length; i += 2) entries.push({ id: flat[i], score: Number(flat[i + 1]) * decay });
+  return { version: v, entries };
+}
+
+export async function removeFromTrending(videoId) {
+  await redis.zrem(TRENDING_KEY, String(videoId));
+}
+
+// top entries with their decayed score as of `now`
+export async function topTrending(offset = 0, limit = 20, now = Date.now()) {
+  const [flat, epoch] = await Promise.all([
+    redis.zrevrange(TRENDING_KEY, offset, offset + limit - 1, 'WITHSCORES'),
+    redis.get(EPOCH_KEY),
+  ]);
+  const decay = epoch ? Math.pow(2, -(now - Number(epoch)) / HALF_LIFE_MS) : 1;
+  const entries = [];
+  for (let i = 0; i < flat.length; i += 2) entries.push({ id: flat[i], score: Number(flat[i + 1]) * decay });
+  return entries;
+}
+```
+
+---
+
+### backend/routes/uploadRoutes.js
+
+```js
+import express from 'express';
+import { createUpload, getUpload, putChunk, completeUpload, abortUpload, CHUNK_SIZE } from '../controllers/uploadController.js';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.use(requireAuth);
+router.post('/', rateLimit('upload'), createUpload);
+router.get('/:id', getUpload);
+router.put('/:id/chunks/:index', express.raw({ type: () => true, limit: CHUNK_SIZE }), putChunk);
+router.post('/:id/complete', completeUpload);
+router.delete('/:id', abortUpload);
+export default router;
+```
+
+---
+
+### backend/routes/analyticsRoutes.js
+
+```js
+import express from 'express';
+import { postEvents, getCreatorAnalytics } from '../controllers/analyticsController.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+const router = express.Router();
+router.post('/events', optionalAuth, rateLimit('analytics'), postEvents);
+router.get('/me', requireAuth, getCreatorAnalytics);
+export default router;
+```
+
+---
+
+### backend/trendingJob.js
+
+```js
+import Video, { PUBLISHED } from './models/Video.js';
+import redis from './redisClient.js';
+import { rebaseAndPrune, freezeRanking, topTrending } from './trendingScore.js';
+import { presentVideo } from './videoPresenter.js';
+import { publishFeedEvent } from './feedEvents.js';
+import { blockRelations, privateAuthorIds, notBy } from './blocks.js';
+
+const SNAPSHOT_KEY = 'trending:snapshot';
+const BROADCAST_SIZE = 20; // matches the first page of GET /api/videos/trending
+
+// compares two ranked id lists; ranks are 0-based
+export function diffRanks(prevIds, nextIds) {
+  const prev = new Map(prevIds.map((id, i) => [id, i]));
+  const next = new Map(nextIds.map((id, i) => [id, i]));
+  const entered = [], moved = [], left = [];
+  nextIds.forEach((id, rank) => {
+    if (!prev.has(id)) entered.push({ _id: id, rank });
+    else if (prev.get(id) !== rank) moved.push({ _id: id, rank, from: prev.get(id) });
+  });
+  prevIds.forEach((id, from) => { if (!next.has(id)) left.push({ _id: id, from }); });
+  return { entered, moved, left };
+}
+
+// scores are maintained incrementally as engagement happens; the job only
+// rebases/prunes the ZSET and emits one `trending-diff` event describing
+// how the top list changed since the previous run
+export async function processTrending(io) {
+  try {
+    const now = Date.now();
+    await rebaseAndPrune(now);
+    await freezeRanking(now);
+    const top = await topTrending(0, BROADCAST_SIZE, now);
+    // the broadcast goes to everyone, so private accounts' videos stay out of it
+    const videos = await Video.find({ _id: { $in: top.map(t => t.id) }, ...PUBLISHED, ...notBy(await privateAuthorIds()) }).lean();
+    const byId = new Map(videos.map(v => [String(v._id), v]));
+    const ranked = top.filter(t => byId.has(t.id));
+    const ids = ranked.map(t => t.id);
+
+    const prevIds = JSON.parse(await redis.get(SNAPSHOT_KEY) || '[]');
+    await redis.set(SNAPSHOT_KEY, JSON.stringify(ids));
+    const diff = diffRanks(prevIds, ids);
+    if (!diff.entered.length && !diff.moved.length && !diff.left.length) return;
+
+    // only entering videos need a full payload; clients already hold the rest
+    const scores = new Map(ranked.map(t => [t.id, t.score]));
+    diff.entered = await Promise.all(diff.entered.map(async e =>
+      ({ ...e, video: { ...(await presentVideo(byId.get(e._id))), trendingScore: scores.get(e._id) } })));
+    // users with a block against one of the ranked authors get their own
+    // copy without those videos instead of the shared broadcast
+    const related = await blockRelations(ranked.map(t => byId.get(t.id).user));
+    await publishFeedEvent(io, 'trending', 'trending-diff', { ...diff, top: ids }, { except: [...related.keys()] });
+    for (const [userId, authors] of related) {
+      const hidden = new Set(ids.filter(id => authors.has(String(byId.get(id).user))));
+      await publishFeedEvent(io, `user_${userId}`, 'trending-diff', {
+        ...diff, entered: diff.entered.filter(e => !hidden.has(e._id)), top: ids.filter(id => !hidden.has(id)),
+      });
+    }
+  } catch (err) { console.error('Trending job error', err); }
+}
+```
+
+---
+
+### backend/scripts/migrateComments.js
+
+```js
+// One-off: moves the legacy embedded `videos.comments` array into the comments collection.
+// Run with `node scripts/migrateComments.js` after deploying the Comment model.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Video from '../models/Video.js';
+import User from '../models/User.js';
+import Comment from '../models/Comment.js';
+dotenv.config();
+
+await mongoose.connect(process.env.MONGO_URI);
+const videos = Video.collection.find({ 'comments.0': { $exists: true } });
+let moved = 0;
+for await (const v of videos) {
+  const docs = [];
+  for (const c of v.comments) {
+    // legacy comments stored either a user id or a username as a string
+    const user = mongoose.isValidObjectId(c.user)
+      ? await User.findById(c.user).select('_id')
+      : await User.findOne({ username: c.user }).select('_id');
+    if (user && c.text) docs.push({ video: v._id, user: user._id, text: c.text, createdAt: v.createdAt });
+  }
+  if (docs.length) await Comment.insertMany(docs);
+  await Video.collection.updateOne({ _id: v._id }, { $unset: { comments: '' }, $inc: { commentsCount: docs.length } });
+  moved += docs.length;
+}
+console.log(`Migrated ${moved} comments`);
+await mongoose.disconnect();
+```
+---
+
+### backend/scripts/backfillTrending.js
+
+```js
+// Seeds the trending ZSET from existing counters, treating each video's
+// likes/comments/shares as if they happened at upload time.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Video from '../models/Video.js';
+import redis from '../redisClient.js';
+import { recordEngagement, rebaseAndPrune } from '../trendingScore.js';
+dotenv.config();
+
+await mongoose.connect(process.env.MONGO_URI);
+await rebaseAndPrune(); // pins the epoch to now before adding old events
+const since = new Date(Date.now() - 14 * 24 * 3600 * 1000); // older videos would decay to ~0 anyway
+for await (const v of Video.find({ createdAt: { $gte: since } }).lean().cursor()) {
+  const at = new Date(v.createdAt).getTime();
+  await recordEngagement(v._id, 'like', v.likes || 0, at);
+  await recordEngagement(v._id, 'comment', v.commentsCount || 0, at);
+  await recordEngagement(v._id, 'share', v.shares || 0, at);
+}
+console.log(`Trending entries: ${await rebaseAndPrune()}`);
+await mongoose.disconnect();
+redis.disconnect();
+```
+---
+
+### backend/scripts/backfillTimelines.js
+
+```js
+// Marks existing large accounts as celebrities and builds every user's
+// following timeline. Safe to re-run; users without one are also rebuilt lazily on read.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import redis from '../redisClient.js';
+import { refreshCelebrity, rebuildTimeline } from '../timeline.js';
+dotenv.config();
+
+await mongoose.connect(process.env.MONGO_URI);
+for await (const u of User.find().select('_id').lean().cursor()) await refreshCelebrity(u._id);
+let built = 0;
+for await (const u of User.find({ 'following.0': { $exists: true } }).select('_id').lean().cursor()) {
+  await rebuildTimeline(u._id);
+  built++;
+}
+console.log(`Rebuilt ${built} timelines`);
+await mongoose.disconnect();
+redis.disconnect();
+```
+---
+
+### backend/scripts/migrateStorageKeys.js
+
+```js
+// Moves videos stored under hard-coded paths into the configured storage
+// driver and records storage keys instead:
+//   url: '/uploads/<file>'            -> storageKey (legacy raw upload)
+//   hlsUrl / thumbnailUrl '/uploads/hls/<id>/...' -> hlsKey / thumbnailKey
+// Run once per environment with the target STORAGE_DRIVER configured.
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Video from '../models/Video.js';
+import storage, { contentTypeFor } from '../storage/index.js';
+dotenv.config();
+
+const localPath = url => path.join('.', url); // '/uploads/x' -> 'uploads/x'
+
+async function copyDir(dir, prefix) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) await copyDir(file, `${prefix}/${entry.name}`);
+    else await storage.putFile(`${prefix}/${entry.name}`, file, contentTypeFor(entry.name));
+  }
+}
+
+await mongoose.connect(process.env.MONGO_URI);
+let migrated = 0;
+for await (const v of Video.collection.find({ $or: [{ url: { $exists: true } }, { hlsUrl: { $exists: true } }] })) {
+  const set = {};
+  const prefix = `videos/${v._id}`;
+  try {
+    if (v.hlsUrl) {
+      await copyDir(path.dirname(localPath(v.hlsUrl)), `${prefix}/hls`);
+      set.hlsKey = `${prefix}/hls`;
+    }
+    if (v.thumbnailUrl) {
+      await storage.putFile(`${prefix}/poster.jpg`, localPath(v.thumbnailUrl), 'image/jpeg');
+      set.thumbnailKey = `${prefix}/poster.jpg`;
+    }
+    if (v.url) {
+      await storage.putFile(`${prefix}/source`, localPath(v.url), 'application/octet-stream');
+      set.storageKey = `${prefix}/source`;
+    }
+    if (!v.status) set.status = 'ready';
+    await Video.collection.updateOne({ _id: v._id }, { $set: set, $unset: { url: '', hlsUrl: '', thumbnailUrl: '' } });
+    migrated++;
+  } catch (err) { console.error(`Video ${v._id}: ${err.message}`); }
+}
+console.log(`Migrated ${migrated} videos`);
+await mongoose.disconnect();
+process.exit(0);
+```
+---
+
+### backend/scripts/evaluateRecommender.js
+
+```js
+// Offline evaluation of the For You ranker. Replays the interaction log in
+// time order and, at every viewer's first play of a video, asks the ranker
+// what it would have shown that viewer at that moment; reports where the
+// video they actually picked landed. Same log and config give the same numbers.
+//
+//   node scripts/evaluateRecommender.js --from 2024-05-01 --to 2024-05-08 \
+//     [--config a.json] [--compare b.json] [--k 10] [--warmup-days 30] [--every 1]
+//
+// Differences from the live service: every published video inside the
+// config's age window (or in the replayed trending top) is a candidate, rather
+// than the capped per-source queries, so the numbers measure ordering; and the
+// replayed trending score only sees plays and likes (comments and shares are
+// not in the log).
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Interaction from '../models/Interaction.js';
+import Video, { PUBLISHED } from '../models/Video.js';
+import redis from '../redisClient.js';
+import { loadConfig } from '../recommender/config.js';
+import { buildProfile } from '../recommender/profile.js';
+import { rankCandidates } from '../recommender/ranker.js';
+import { WEIGHTS, HALF_LIFE_MS } from '../trendingScore.js';
+dotenv.config();
+
+const DAY_MS = 24 * 3600 * 1000;
+const arg = (name, fallback) => { const i = process.argv.indexOf(`--${name}`); return i > 0 ? process.argv[i + 1] : fallback; };
+
+const to = new Date(arg('to', new Date().toISOString()));
+const from = new Date(arg('from', new Date(to - 7 * DAY_MS).toISOString()));
+const warmup = new Date(from - Number(arg('warmup-days', 30)) * DAY_MS); // history before `from` builds profiles only
+const k = Number(arg('k', 10));
+const every = Number(arg('every', 1)); // evaluate every Nth target to sample large logs
+const variants = { baseline: loadConfig(arg('config')) };
+if (arg('compare')) variants.candidate = loadConfig(arg('compare'));
+
+await mongoose.connect(process.env.MONGO_URI);
+const videos = (await Video.find(PUBLISHED).select('hashtags title user createdAt').lean())
+  .sort((a, b) => a.createdAt - b.createdAt || String(a._id).localeCompare(String(b._id)));
+const videosById = new Map(videos.map(v => [String(v._id), v]));
+const log = await Interaction.find({ at: { $gte: warmup, $lte: to } }).sort({ at: 1, _id: 1 }).lean();
+console.log(`Replaying ${log.length} interactions over ${videos.length} videos`);
+
+// a target counts as engaged when the viewer went on to like or finish it
+const engaged = new Set(log.filter(r => r.type === 'like' || r.type === 'complete').map(r => `${r.viewer}|${r.video}`));
+
+// trending replay, same weights and epoch trick as trendingScore.js
+const trending = new Map();
+let epoch = warmup.getTime();
+function addTrending(id, weight, now) {
+  if (now - epoch > 20 * HALF_LIFE_MS) {
+    const factor = Math.pow(2, -(now - epoch) / HALF_LIFE_MS);
+    for (const [key, s] of trending) trending.set(key, s * factor);
+    epoch = now;
+  }
+  trending.set(id, (trending.get(id) || 0) + weight * Math.pow(2, (now - epoch) / HALF_LIFE_MS));
+}
+
+function rankAt(viewer, history, now, config) {
+  const decay = Math.pow(2, -(now - epoch) / HALF_LIFE_MS);
+  const scores = new Map([...trending].map(([id, s]) => [id, s * decay]));
+  const top = new Set([...scores].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, config.candidates.trending).map(([id]) => id));
+  const oldest = now - config.maxAgeDays * DAY_MS;
+  const candidates = videos
+    .filter(v => v.createdAt <= now && (v.createdAt >= oldest || top.has(String(v._id))))
+    .map(video => ({ video, sources: new Set(['replay']) }));
+  const userId = viewer.startsWith('u:') ? viewer.slice(2) : null;
+  const profile = buildProfile({ viewer, userId, interactions: history, videos: videosById, following: null, now, config });
+  return rankCandidates(candidates, profile, config, { now, trending: scores });
+}
+
+const empty = () => ({ targets: 0, hits: 0, rr: 0, ndcg: 0 });
+const results = Object.fromEntries(Object.keys(variants).map(name => [name, { all: empty(), engaged: empty() }]));
+const histories = new Map();
+let targets = 0;
+
+for (const row of log) {
+  const now = row.at.getTime();
+  const history = histories.get(row.viewer) || [];
+  const video = String(row.video);
+  const firstPlay = row.type === 'play' && row.at >= from && videosById.has(video) && !history.some(h => String(h.video) === video);
+  if (firstPlay && targets++ % every === 0) {
+    for (const [name, config] of Object.entries(variants)) {
+      const rank = rankAt(row.viewer, history, now, config).findIndex(item => item.id === video);
+      const buckets = [results[name].all];
+      if (engaged.has(`${row.viewer}|${video}`)) buckets.push(results[name].engaged);
+      for (const m of buckets) {
+        m.targets++;
+        if (rank < 0) continue;
+        m.rr += 1 / (rank + 1);
+        if (rank < k) { m.hits++; m.ndcg += 1 / Math.log2(rank + 2); }
+      }
+    }
+  }
+  history.push(row);
+  histories.set(row.viewer, history);
+  if (row.video && (row.type === 'play' || row.type === 'like' || row.type === 'unlike')) {
+    const weight = row.type === 'play' ? WEIGHTS.view : row.type === 'like' ? WEIGHTS.like : -WEIGHTS.like;
+    addTrending(video, weight, now);
+  }
+}
+
+const summary = m => ({
+  targets: m.targets,
+  [`hit@${k}`]: m.targets ? +(m.hits / m.targets).toFixed(4) : 0,
+  mrr: m.targets ? +(m.rr / m.targets).toFixed(4) : 0,
+  [`ndcg@${k}`]: m.targets ? +(m.ndcg / m.targets).toFixed(4) : 0,
+});
+const table = {};
+for (const [name, r] of Object.entries(results)) {
+  table[`${name} (all plays)`] = summary(r.all);
+  table[`${name} (liked/finished)`] = summary(r.engaged);
+}
+console.table(table);
+await mongoose.disconnect();
+redis.disconnect();
+```
+---
+
+### backend/scripts/backfillHashtags.js
+
+```js
+// Parses hashtags and mentions for videos created before they were stored.
+// Safe to re-run; only videos without a `hashtags` field are touched.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Video from '../models/Video.js';
+import redis from '../redisClient.js';
+import { titleFields } from '../tags.js';
+dotenv.config();
+
+await mongoose.connect(process.env.MONGO_URI);
+let updated = 0;
+for await (const v of Video.find({ hashtags: { $exists: false } }).select('title').lean().cursor()) {
+  await Video.updateOne({ _id: v._id }, { $set: await titleFields(v.title) });
+  updated++;
+}
+console.log(`Updated ${updated} videos`);
+await mongoose.disconnect();
+redis.disconnect();
+```
+---
+
+### backend/scripts/backfillSearchFields.js
+
+```js
+// Fills the folded search fields (User.usernameFolded, Video.titleWords) for
+// records created before search existed. Safe to re-run.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Video from '../models/Video.js';
+import { foldText, titleWords } from '../utils/titleTokens.js';
+dotenv.config();
+
+await mongoose.connect(process.env.MONGO_URI);
+let users = 0, videos = 0;
+for await (const u of User.find({ usernameFolded: { $exists: false } }).select('username').lean().cursor()) {
+  await User.updateOne({ _id: u._id }, { $set: { usernameFolded: foldText(u.username) } });
+  users++;
+}
+for await (const v of Video.find({ titleWords: { $exists: false } }).select('title').lean().cursor()) {
+  await Video.updateOne({ _id: v._id }, { $set: { titleWords: titleWords(v.title) } });
+  videos++;
+}
+console.log(`Updated ${users} users, ${videos} videos`);
+await mongoose.disconnect();
+```
+
+---
+
+### backend/scripts/setRole.js
+
+```js
+// Grants or revokes moderation roles; the first admin has to be made here,
+// later ones can be promoted from the moderation dashboard.
+// Usage: node scripts/setRole.js <username> <user|moderator|admin>
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+dotenv.config();
+
+const [username, role] = process.argv.slice(2);
+if (!username || !['user', 'moderator', 'admin'].includes(role)) {
+  console.error('Usage: node scripts/setRole.js <username> <user|moderator|admin>');
+  process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URI);
+const user = await User.findOneAndUpdate({ username }, { role }).select('role').lean();
+if (user) console.log(`${username}: ${user.role} -> ${role}`);
+else console.error(`No user named ${username}`);
+await mongoose.disconnect();
+```
+---
+
+## Frontend — Files
+
+### frontend/package.json
+
+```json
+{
+  "name": "tiktok-frontend",
+  "version": "1.0.0",
+  "private": true,
+  "dependencies": {
+    "axios": "^1.4.0",
+    "hls.js": "^1.5.0",
+    "react": "^18.2.0",
+    "react-dom": "^18.2.0",
+    "react-router-dom": "^6.11.2",
+    "socket.io-client": "^4.8.0"
+  },
+  "devDependencies": {
+    "vite": "^5.1.0",
+    "tailwindcss": "^4.0.0",
+    "postcss": "^8.4.21",
+    "autoprefixer": "^10.4.14"
+  },
+  "scripts": {
+    "dev": "vite",
+    "build": "vite build",
+    "preview": "vite preview"
+  }
+}
+```
+
+---
+
+### frontend/tailwind.config.cjs
+
+```js
+module.exports = {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  theme: { extend: {} },
+  plugins: [],
+};
+```
+
+---
+
+### frontend/src/index.css
+
+```css
+@tailwind base;
+@tailwind components;
+@tailwind utilities;
+
+html, body, #root { height: 100%; }
+
+/* small UI polish */
+.video-card { @apply rounded-2xl overflow-hidden shadow-lg bg-black text-white; }
+
+/* full-screen swipe player */
+.no-scrollbar { scrollbar-width: none; }
+.no-scrollbar::-webkit-scrollbar { display: none; }
+.like-burst { animation: like-burst 700ms ease-out forwards; }
+@keyframes like-burst {
+  0% { opacity: 0; transform: scale(0.4); }
+  30% { opacity: 1; transform: scale(1.2); }
+  100% { opacity: 0; transform: scale(1); }
+}
+```
+
+---
+
+### frontend/src/api.js
+
+```js
+import axios from 'axios';
+
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000';
+
+// media URLs are either absolute (signed bucket URLs) or paths on the backend
+export const mediaUrl = u => !u ? undefined : /^https?:\/\//.test(u) ? u : `${BACKEND_URL}${u}`;
+
+// random id for this browser, so anonymous viewers get their own history
+export function viewerId() {
+  let id = localStorage.getItem('viewerId');
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem('viewerId', id);
+  }
+  return id;
+}
+
+const SESSION_KEYS = ['token', 'refreshToken', 'userId', 'username', 'role'];
+
+// stores the { token, refreshToken, user } returned by login/refresh
+export function saveSession({ token, refreshToken, user }) {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('userId', user.id);
+  localStorage.setItem('username', user.username);
+  localStorage.setItem('role', user.role || 'user');
+}
+
+export function clearSession() {
+  SESSION_KEYS.forEach(k => localStorage.removeItem(k));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function rotate() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    clearSession(); // e.g. a token from before refresh tokens existed
+    throw new Error('Not logged in');
+  }
+  try {
+    const r = await axios.post(`${BACKEND_URL}/api/auth/refresh`, { refreshToken });
+    saveSession(r.data);
+  } catch (err) {
+    const status = err.response?.status;
+    // another tab refreshed with the same token a moment ago; its new pair
+    // lands in localStorage
+    if (status === 409) {
+      await wait(1000);
+      if (localStorage.getItem('refreshToken') !== refreshToken) return;
+    }
+    if (status === 401) clearSession();
+    throw err;
+  }
+}
+
+// one refresh at a time, shared by every request that needs it
+let refreshing = null;
+export function refreshSession() {
+  if (!refreshing) refreshing = rotate().finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+// every request carries the short-lived access token (anonymous ones carry
+// none); a 401 refreshes it once and retries
+const api = axios.create({ baseURL: BACKEND_URL });
+api.interceptors.request.use(config => {
+  const token = localStorage.getItem('token');
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  else delete config.headers.Authorization; // a retry after the session was cleared
+  config.headers['X-Viewer-Id'] = viewerId();
+  return config;
+});
+api.interceptors.response.use(null, async err => {
+  const { config, response } = err;
+  if (response?.status !== 401 || config._retried || !localStorage.getItem('token')) throw err;
+  config._retried = true;
+  // a session that can't be renewed is cleared, and the request is retried
+  // anonymously, which public endpoints accept
+  try { await refreshSession(); }
+  catch (refreshErr) { if (localStorage.getItem('token')) throw err; }
+  return api(config);
+});
+
+export default api;
+```
+
+---
+
+### frontend/src/socket.js
+
+```js
+import { io } from 'socket.io-client';
+import { BACKEND_URL, refreshSession } from './api';
+
+// newest feed event seq seen per room (trending, all, user_<id>); sent with
+// every handshake so the server replays what we missed while disconnected
+const lastSeen = {};
+
+const newer = (a, b) => {
+  const [am, as] = a.split('-').map(Number);
+  const [bm, bs] = b.split('-').map(Number);
+  return am > bm || (am === bm && as > bs);
+};
+
+function markSeen(room, seq){
+  if(room && seq && (!lastSeen[room] || newer(seq, lastSeen[room]))) lastSeen[room] = seq;
+}
+
+// the callback form re-reads the token and positions on every (re)connect
+const socket = io(BACKEND_URL, {
+  auth: cb => cb({ token: localStorage.getItem('token'), lastSeen })
+});
+
+// feed events arrive as (payload, { room, seq })
+socket.onAny((event, payload, meta) => markSeen(meta?.room, meta?.seq));
+socket.on('feed-seq', ({ room, seq }) => markSeen(room, seq));
+// too far behind to replay: pages listening for `feed-resync` reload over REST,
+// and the server hands out a fresh position on the next handshake
+socket.on('feed-resync', ({ room }) => { delete lastSeen[room]; });
+
+// the handshake is refused once the access token expires: refresh and retry,
+// or carry on anonymously if the session is gone
+socket.on('connect_error', err => {
+  if(err.message !== 'Invalid token' && err.message !== 'Session expired') return;
+  refreshSession().then(
+    ()=>socket.connect(),
+    ()=>{ if(!localStorage.getItem('refreshToken')) socket.connect(); }
+  );
+});
+
+// call after login/logout so the server re-evaluates our personal room
+export function reconnectSocket(){
+  socket.disconnect().connect();
+}
+
+export default socket;
+```
+
+---
+
+### frontend/src/main.jsx
+
+```jsx
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import App from './App';
+import './index.css';
+
+createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <BrowserRouter>
+      <App />
+    </BrowserRouter>
+  </React.StrictMode>
+);
+```
+
+---
+
+### frontend/src/App.jsx
+
+```jsx
+import { Link, Routes, Route } from 'react-router-dom';
+import Feed from './pages/Feed';
+import FollowingFeed from './pages/FollowingFeed';
+import TrendingFeed from './pages/TrendingFeed';
+import Upload from './pages/Upload';
+import Auth from './pages/Auth';
+import Analytics from './pages/Analytics';
+import TagFeed from './pages/TagFeed';
+import Search from './pages/Search';
+import Notifications from './pages/Notifications';
+import Inbox from './pages/Inbox';
+import Chat from './pages/Chat';
+import Moderation from './pages/Moderation';
+import VerifyEmail from './pages/VerifyEmail';
+import ResetPassword from './pages/ResetPassword';
+import Account from './pages/Account';
+import Profile from './pages/Profile';
+import Navbar from './components/Navbar';
+
+export default function App(){
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-900 via-black to-gray-800 text-white">
+      <Navbar />
+      <div className="container mx-auto px-4 py-6">
+        <Routes>
+          <Route path="/" element={<Feed/>} />
+          <Route path="/following" element={<FollowingFeed/>} />
+          <Route path="/trending" element={<TrendingFeed/>} />
+          <Route path="/upload" element={<Upload/>} />
+          <Route path="/auth" element={<Auth/>} />
+          <Route path="/analytics" element={<Analytics/>} />
+          <Route path="/tags/:tag" element={<TagFeed/>} />
+          <Route path="/search" element={<Search/>} />
+          <Route path="/notifications" element={<Notifications/>} />
+          <Route path="/inbox" element={<Inbox/>} />
+          <Route path="/inbox/:id" element={<Chat/>} />
+          <Route path="/admin" element={<Moderation/>} />
+          <Route path="/verify-email" element={<VerifyEmail/>} />
+          <Route path="/reset-password" element={<ResetPassword/>} />
+          <Route path="/account" element={<Account/>} />
+          <Route path="/u/:username" element={<Profile/>} />
+        </Routes>
+      </div>
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/components/Navbar.jsx
+
+```jsx
+import { Link, useNavigate } from 'react-router-dom';
+import api, { clearSession } from '../api';
+import { reconnectSocket } from '../socket';
+import SearchBar from './SearchBar';
+import NotificationBell from './NotificationBell';
+export default function Navbar(){
+  const navigate = useNavigate();
+
+  const logout = async ()=>{
+    await api.post('/api/auth/logout').catch(()=>{}); // the tokens are dropped either way
+    clearSession();
+    reconnectSocket();
+    navigate('/auth');
+  }
+
+  return (
+    <nav className="bg-black/60 backdrop-blur p-4 sticky top-0 z-30">
+      <div className="container mx-auto flex items-center justify-between">
+        <Link to="/" className="text-2xl font-bold">TikLite</Link>
+        <SearchBar />
+        <div className="flex gap-4">
+          <Link to="/following" className="hover:opacity-80">Following</Link>
+          <Link to="/trending" className="hover:opacity-80">Trending</Link>
+          {localStorage.getItem('userId') && <Link to="/analytics" className="hover:opacity-80">Analytics</Link>}
+          {localStorage.getItem('userId') && <Link to="/inbox" className="hover:opacity-80">Inbox</Link>}
+          {localStorage.getItem('userId') && <NotificationBell />}
+          {['moderator', 'admin'].includes(localStorage.getItem('role')) && <Link to="/admin" className="hover:opacity-80">Moderation</Link>}
+          <Link to="/upload" className="bg-white text-black px-3 py-1 rounded-full">Upload</Link>
+          {localStorage.getItem('userId')
+            ? <>
+                {localStorage.getItem('username') && <Link to={`/u/${encodeURIComponent(localStorage.getItem('username'))}`} className="hover:opacity-80">Profile</Link>}
+                <Link to="/account" className="hover:opacity-80">Account</Link>
+                <button onClick={logout} className="hover:opacity-80">Log out</button>
+              </>
+            : <Link to="/auth" className="hover:opacity-80">Log in</Link>}
+        </div>
+      </div>
+    </nav>
+  );
+}
+```
+
+---
+
+### frontend/src/components/VideoCard.jsx
+
+```jsx
+import { useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useLiveVideo from '../hooks/useLiveVideo';
+import Avatar from './Avatar';
+import CommentDrawer from './CommentDrawer';
+import VideoPlayer from './VideoPlayer';
+import RichTitle from './RichTitle';
+import ShareToChat from './ShareToChat';
+import ReportDialog from './ReportDialog';
+
+export default function VideoCard({ v }){
+  const [showComments, setShowComments] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [reporting, setReporting] = useState(false);
+  const card = useRef(null);
+  const { liked, likes, commentsCount, setCommentsCount, viewers, setLike } = useLiveVideo(v, card);
+
+  const [liking, setLiking] = useState(false);
+
+  // the heart flips at once and useLiveVideo flips it back on failure;
+  // clicks while a request is in flight are ignored
+  const toggleLike = async ()=>{
+    if(liking) return;
+    setLiking(true);
+    const ok = await setLike(!liked);
+    setLiking(false);
+    if(ok === false) alert("Couldn't update your like, please try again");
+  };
+
+  return (
+    <div ref={card} className="video-card mb-6 p-4">
+      <div className="relative aspect-video bg-black rounded-xl overflow-hidden">
+        <VideoPlayer v={v} className="w-full h-full object-contain" />
+        {viewers > 0 && <span className="absolute top-2 left-2 px-2 py-0.5 rounded-full bg-black/60 text-xs">👁 {viewers} watching</span>}
+      </div>
+      <div className="mt-3 flex items-center justify-between">
+        <div>
+          {v.author && (
+            <Link to={`/u/${encodeURIComponent(v.author.username)}`} className="flex items-center gap-2 mb-1 group">
+              <Avatar user={v.author} size="w-6 h-6 text-xs" />
+              <span className="text-sm font-semibold group-hover:underline">{v.author.displayName || v.author.username}</span>
+              <span className="text-xs text-gray-400">@{v.author.username}</span>
+            </Link>
+          )}
+          <h3 className="font-bold"><RichTitle title={v.title} mentions={v.mentions} /></h3>
+          <p className="text-sm text-gray-300">{new Date(v.createdAt).toLocaleString()}</p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={toggleLike} className={`px-3 py-1 rounded-full ${liked ? 'bg-pink-600 text-white' : 'bg-white/10'}`}>
+            {liked ? '♥' : '♡'} {likes}
+          </button>
+          <button onClick={()=>setShowComments(true)} className="px-3 py-1 rounded-full bg-white/10">💬 {commentsCount}</button>
+          {localStorage.getItem('token') && <button onClick={()=>setSharing(true)} className="px-3 py-1 rounded-full bg-white/10" title="Send in a message">➤</button>}
+          {localStorage.getItem('token') && <button onClick={()=>setReporting(true)} className="px-3 py-1 rounded-full bg-white/10" title="Report">⚑</button>}
+        </div>
+      </div>
+      {sharing && <ShareToChat video={v} onClose={()=>setSharing(false)} />}
+      {reporting && <ReportDialog targetType="video" targetId={v._id} onClose={()=>setReporting(false)} />}
+      {showComments && <CommentDrawer video={v} onClose={()=>setShowComments(false)} onCountChange={d=>setCommentsCount(c=>c+d)} />}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/components/RichTitle.jsx
+
+```jsx
+import { Link } from 'react-router-dom';
+
+// same token rules as backend/utils/titleTokens.js
+const TOKEN = /(#[\p{L}\p{N}_]+|@[\p{L}\p{N}_.]*[\p{L}\p{N}_])/u;
+
+// renders #tags as tag page links and @mentions of resolved users as profile links
+export default function RichTitle({ title, mentions = [] }){
+  const known = new Set(mentions.map(m => m.username));
+  return (
+    <>
+      {String(title || 'Untitled').split(TOKEN).map((part, i) => {
+        if(part.startsWith('#')){
+          const tag = part.slice(1);
+          return <Link key={i} to={`/tags/${encodeURIComponent(tag.toLowerCase())}`} className="text-pink-400 hover:underline">#{tag}</Link>;
+        }
+        if(part.startsWith('@')){
+          const name = part.slice(1);
+          if(known.has(name)) return <Link key={i} to={`/u/${encodeURIComponent(name)}`} className="text-sky-400 hover:underline">@{name}</Link>;
+        }
+        return part;
+      })}
+    </>
+  );
+}
+```
+
+---
+
+### frontend/src/components/SearchBar.jsx
+
+```jsx
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../api';
+
+const DEBOUNCE_MS = 250;
+
+// Navbar search: suggestions for users, tags and videos while typing;
+// Enter opens the full results page
+export default function SearchBar(){
+  const [q, setQ] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const latest = useRef(0);
+  const navigate = useNavigate();
+
+  useEffect(()=>{
+    const query = q.trim();
+    if(!query){ setSuggestions(null); return; }
+    const id = ++latest.current;
+    const timer = setTimeout(()=>{
+      api.get('/api/search', { params: { q: query } })
+        .then(r=>{ if(id === latest.current) setSuggestions(r.data); }) // ignore out-of-order replies
+        .catch(()=>{});
+    }, DEBOUNCE_MS);
+    return ()=> clearTimeout(timer);
+  },[q]);
+
+  const close = ()=>{ setOpen(false); setQ(''); };
+  const submit = e=>{
+    e.preventDefault();
+    if(!q.trim()) return;
+    navigate(`/search?q=${encodeURIComponent(q.trim())}`);
+    close();
+  };
+
+  const empty = suggestions && !suggestions.users.length && !suggestions.tags.length && !suggestions.videos.length;
+  return (
+    <form onSubmit={submit} className="relative flex-1 max-w-sm mx-4">
+      <input value={q} onChange={e=>{ setQ(e.target.value); setOpen(true); }} onFocus={()=>setOpen(true)}
+        onBlur={()=>setTimeout(()=>setOpen(false), 150)} placeholder="Search videos, people, #tags"
+        className="w-full bg-white/10 rounded-full px-4 py-1 outline-none focus:bg-white/20" />
+      {open && suggestions && (
+        <div className="absolute left-0 right-0 mt-2 bg-gray-900 rounded-xl shadow-lg p-2 text-sm">
+          {suggestions.users.map(u => (
+            <Link key={u._id} to={`/u/${encodeURIComponent(u.username)}`} onClick={close} className="block px-2 py-1 rounded hover:bg-white/10">
+              @{u.username} <span className="text-gray-400">{u.followers} followers</span>
+            </Link>
+          ))}
+          {suggestions.tags.map(t => (
+            <Link key={t.tag} to={`/tags/${encodeURIComponent(t.tag)}`} onClick={close} className="block px-2 py-1 rounded hover:bg-white/10">
+              #{t.tag} <span className="text-gray-400">{t.videos} videos</span>
+            </Link>
+          ))}
+          {suggestions.videos.map(v => (
+            <Link key={v._id} to={`/search?q=${encodeURIComponent(q.trim())}`} onClick={close} className="block px-2 py-1 rounded hover:bg-white/10 truncate">
+              {v.title || 'Untitled'}
+            </Link>
+          ))}
+          {empty && <p className="px-2 py-1 text-gray-400">No matches</p>}
+        </div>
+      )}
+    </form>
+  );
+}
+```
+
+---
+
+### frontend/src/components/NotificationBell.jsx
+
+```jsx
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import socket from '../socket';
+
+// unread badge; kept live by the `notification` / `notifications-read` pushes
+export default function NotificationBell(){
+  const [unread, setUnread] = useState(0);
+
+  useEffect(()=>{
+    api.get('/api/notifications/unread-count').then(r=>setUnread(r.data.unreadCount)).catch(()=>{});
+    const onCount = e => setUnread(e.unreadCount);
+    socket.on('notification', onCount);
+    socket.on('notifications-read', onCount);
+    return ()=>{
+      socket.off('notification', onCount);
+      socket.off('notifications-read', onCount);
+    };
+  },[]);
+
+  return (
+    <Link to="/notifications" className="relative hover:opacity-80" aria-label="Notifications">
+      🔔
+      {unread > 0 && (
+        <span className="absolute -top-2 -right-3 bg-pink-600 text-white text-xs rounded-full px-1.5">{unread > 99 ? '99+' : unread}</span>
+      )}
+    </Link>
+  );
+}
+```
+
+---
+
+### frontend/src/components/ShareToChat.jsx
+
+```jsx
+import { useEffect, useState } from 'react';
+import api from '../api';
+
+// picks one of your recent conversations and sends the video into it
+export default function ShareToChat({ video, onClose }){
+  const [conversations, setConversations] = useState(null);
+  const [sent, setSent] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(()=>{
+    api.get('/api/conversations', { params: { limit: 20 } })
+      .then(r=>setConversations(r.data.items))
+      .catch(err=>setError(err.response?.data?.error || err.message));
+  },[]);
+
+  const send = async c=>{
+    try {
+      await api.post(`/api/conversations/${c._id}/messages`, { videoId: video._id });
+      setSent(c._id);
+    } catch (err) { setError(err.response?.data?.error || err.message); }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-gray-900 rounded-xl p-4 w-80 max-h-[70vh] overflow-y-auto" onClick={e=>e.stopPropagation()}>
+        <h3 className="font-bold mb-2">Send to…</h3>
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        {!conversations && !error && <p className="text-gray-400 text-sm">Loading…</p>}
+        {conversations?.length === 0 && <p className="text-gray-400 text-sm">No conversations yet. Start one from your inbox.</p>}
+        {conversations?.map(c => (
+          <button key={c._id} onClick={()=>send(c)} disabled={sent === c._id}
+            className="w-full text-left px-2 py-2 rounded hover:bg-white/10 flex justify-between">
+            <span>@{c.with.username}</span>
+            {sent === c._id && <span className="text-gray-400 text-sm">Sent</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/components/ReportDialog.jsx
+
+```jsx
+import { useState } from 'react';
+import api from '../api';
+
+const REASONS = {
+  spam: 'Spam or scam',
+  harassment: 'Harassment or bullying',
+  hate: 'Hate speech',
+  nudity: 'Nudity or sexual content',
+  violence: 'Violence or dangerous acts',
+  misinformation: 'Misinformation',
+  copyright: 'Copyright infringement',
+  other: 'Something else',
+};
+
+// reports a video or an account to the moderators
+export default function ReportDialog({ targetType, targetId, onClose }){
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async e=>{
+    e.preventDefault();
+    try {
+      await api.post('/api/reports', { targetType, targetId, reason, details });
+      setSent(true);
+    } catch (err) { setError(err.response?.data?.error || err.message); }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-gray-900 rounded-xl p-4 w-80" onClick={e=>e.stopPropagation()}>
+        <h3 className="font-bold mb-2">Report {targetType === 'video' ? 'video' : 'account'}</h3>
+        {sent ? (
+          <>
+            <p className="text-sm text-gray-300">Thanks — our moderators will review it.</p>
+            <button onClick={onClose} className="mt-3 bg-white text-black px-3 py-1 rounded">Close</button>
+          </>
+        ) : (
+          <form onSubmit={submit}>
+            {Object.entries(REASONS).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2 py-1 text-sm">
+                <input type="radio" name="reason" value={key} checked={reason === key} onChange={()=>setReason(key)} />
+                {label}
+              </label>
+            ))}
+            <textarea className="w-full mt-2 p-2 rounded text-black text-sm" rows={3} maxLength={1000}
+              placeholder="Anything moderators should know (optional)" value={details} onChange={e=>setDetails(e.target.value)} />
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+            <button disabled={!reason} className="mt-2 bg-white text-black px-3 py-1 rounded disabled:opacity-50">Send report</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/components/FollowRequests.jsx
+
+```jsx
+import { Link } from 'react-router-dom';
+import api from '../api';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+// pending requests to follow a private account; hidden when there are none
+export default function FollowRequests(){
+  const { videos: requests, setVideos: setRequests, done, sentinelRef } = usePaginatedFeed('/api/users/follow-requests');
+
+  const answer = async (r, action)=>{
+    setRequests(prev=>prev.filter(x=>x._id !== r._id));
+    await api.post(`/api/users/follow-requests/${r._id}/${action}`).catch(()=>{});
+  }
+
+  if(done && !requests.length) return null;
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm text-gray-400 mb-2">Follow requests</h3>
+      {requests.map(r => (
+        <div key={r._id} className="flex items-center justify-between p-3 mb-2 rounded-xl bg-white/5">
+          <Link to={`/u/${encodeURIComponent(r.from.username)}`} className="font-semibold hover:underline">{r.from.username}</Link>
+          <div className="flex gap-2">
+            <button onClick={()=>answer(r, 'approve')} className="px-3 py-1 rounded bg-pink-600 text-sm">Approve</button>
+            <button onClick={()=>answer(r, 'reject')} className="px-3 py-1 rounded bg-white/10 text-sm">Reject</button>
+          </div>
+        </div>
+      ))}
+      {!done && <div ref={sentinelRef} className="py-2 text-center text-gray-400 text-sm">Loading…</div>}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/components/Avatar.jsx
+
+```jsx
+// round profile picture; accounts without one get their initial
+export default function Avatar({ user, size = 'w-10 h-10' }){
+  if(user?.avatarUrl) return <img src={user.avatarUrl} alt="" className={`${size} rounded-full object-cover shrink-0`} />;
+  return (
+    <span className={`${size} rounded-full bg-pink-600 flex items-center justify-center font-bold uppercase shrink-0`}>
+      {user?.username?.[0] || '?'}
+    </span>
+  );
+}
+```
+
+---
+
+### frontend/src/components/VideoPlayer.jsx
+
+```jsx
+import { useEffect, useRef } from 'react';
+import Hls from 'hls.js';
+import { mediaUrl } from '../api';
+import { trackEvent } from '../utils/analytics';
+
+const PROGRESS_EVERY = 5; // seconds of actual watching between progress reports
+
+// Plays the HLS master playlist with adaptive bitrate (hls.js, or natively on
+// Safari/iOS); legacy videos without HLS fall back to their raw file.
+// All URLs come from the API already signed; they are never built here.
+// By default the viewer drives playback with the native controls; passing
+// `playing` hands it to the parent instead (the full-screen swipe player),
+// and `onBlocked` is called when the browser refuses to autoplay with sound.
+export default function VideoPlayer({ v, className = '', controls = true, playing, muted = false, loop = false, preload = 'metadata', onBlocked }){
+  const ref = useRef(null);
+
+  useEffect(()=>{
+    const el = ref.current;
+    if(!el) return;
+    if(!v.hlsUrl){
+      el.src = mediaUrl(v.url) || '';
+      return;
+    }
+    const src = mediaUrl(v.hlsUrl);
+    if(el.canPlayType('application/vnd.apple.mpegurl')){
+      el.src = src;
+      return;
+    }
+    if(!Hls.isSupported()) return;
+    const hls = new Hls({ capLevelToPlayerSize: true });
+    hls.loadSource(src);
+    hls.attachMedia(el);
+    return ()=> hls.destroy();
+  },[v.hlsUrl, v.url]);
+
+  // reports a play per mount, watched seconds (seeking doesn't count) and completion
+  useEffect(()=>{
+    const el = ref.current;
+    if(!el) return;
+    let played = false, last = null, pending = 0;
+    const report = ()=>{ if(pending > 0.5) trackEvent(v._id, 'progress', { watched: Math.round(pending * 10) / 10 }); pending = 0; };
+    const onPlay = ()=>{ last = el.currentTime; if(!played){ played = true; trackEvent(v._id, 'play'); } };
+    const onTime = ()=>{
+      const delta = el.currentTime - (last ?? el.currentTime);
+      last = el.currentTime;
+      if(delta > 0 && delta < 2) pending += delta;
+      if(pending >= PROGRESS_EVERY) report();
+    };
+    const onPause = ()=>{ report(); last = null; };
+    const onEnded = ()=>{ report(); trackEvent(v._id, 'complete'); played = false; };
+    el.addEventListener('play', onPlay);
+    el.addEventListener('timeupdate', onTime);
+    el.addEventListener('pause', onPause);
+    el.addEventListener('ended', onEnded);
+    return ()=>{
+      report();
+      el.removeEventListener('play', onPlay);
+      el.removeEventListener('timeupdate', onTime);
+      el.removeEventListener('pause', onPause);
+      el.removeEventListener('ended', onEnded);
+    };
+  },[v._id]);
+
+  useEffect(()=>{
+    const el = ref.current;
+    if(!el || playing === undefined) return;
+    el.muted = muted; // the attribute alone isn't kept in sync by React
+    if(!playing){ el.pause(); return; }
+    el.play().catch(err=>{ if(err.name === 'NotAllowedError') onBlocked?.(); });
+  },[playing, muted]);
+
+  // looping by hand rather than with the `loop` attribute, which suppresses
+  // `ended` and with it the completion report above
+  useEffect(()=>{
+    const el = ref.current;
+    if(!el || !loop) return;
+    const onEnded = ()=>{ el.currentTime = 0; el.play().catch(()=>{}); };
+    el.addEventListener('ended', onEnded);
+    return ()=> el.removeEventListener('ended', onEnded);
+  },[loop]);
+
+  return (
+    <video ref={ref} className={className} controls={controls} playsInline preload={preload}
+      poster={mediaUrl(v.thumbnailUrl)} />
+  );
+}
+```
+
+---
+
+### frontend/src/components/SwipePlayer.jsx
+
+```jsx
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useLiveVideo from '../hooks/useLiveVideo';
+import Avatar from './Avatar';
+import VideoPlayer from './VideoPlayer';
+import RichTitle from './RichTitle';
+import CommentDrawer from './CommentDrawer';
+
+const BEHIND = 1; // slides kept mounted above the current one, for swiping back
+const AHEAD = 2; // slides mounted below it, so they are already buffering
+const LOAD_MORE_WITHIN = 3; // fetch the next page this close to the end
+const DOUBLE_TAP_MS = 250;
+const WHEEL_THRESHOLD = 30; // ignore tiny trackpad deltas
+const WHEEL_LOCK_MS = 600; // one slide per wheel gesture
+
+function Slide({ v, current, muted, onToggleMute, onBlocked, onCurrent, onComments, onLiked }){
+  const slide = useRef(null);
+  const taps = useRef({ last: 0, timer: null });
+  const [hearts, setHearts] = useState(0);
+  const { liked, likes, commentsCount, setCommentsCount, viewers, setLike } = useLiveVideo(v, slide, { onLiked });
+
+  // the slide that fills most of the screen is the one that plays
+  useEffect(()=>{
+    const observer = new IntersectionObserver(([entry])=>{ if(entry.isIntersecting) onCurrent(v._id); }, { threshold: 0.6 });
+    observer.observe(slide.current);
+    return ()=> observer.disconnect();
+  },[v._id, onCurrent]);
+
+  useEffect(()=> ()=> clearTimeout(taps.current.timer), []);
+
+  // a single tap toggles sound once it's clear no second tap follows;
+  // a double tap likes (never unlikes) and shows a heart
+  const onTap = ()=>{
+    const t = taps.current;
+    clearTimeout(t.timer);
+    if(Date.now() - t.last < DOUBLE_TAP_MS){
+      t.last = 0;
+      if(!liked) setLike(true);
+      setHearts(h=>h + 1);
+      return;
+    }
+    t.last = Date.now();
+    t.timer = setTimeout(onToggleMute, DOUBLE_TAP_MS);
+  };
+
+  return (
+    <section ref={slide} className="relative h-full w-full snap-start snap-always flex items-center justify-center bg-black">
+      <VideoPlayer v={v} className="h-full w-full object-contain" controls={false} loop preload="auto"
+        playing={current} muted={muted} onBlocked={onBlocked} />
+      <div className="absolute inset-0" onClick={onTap} />
+      {hearts > 0 && <span key={hearts} className="like-burst absolute inset-0 flex items-center justify-center text-8xl text-pink-500 pointer-events-none">♥</span>}
+      {current && muted && <span className="absolute top-16 left-1/2 -translate-x-1/2 px-3 py-1 rounded-full bg-black/60 text-sm pointer-events-none">🔇 Tap for sound</span>}
+      {viewers > 0 && <span className="absolute top-16 left-4 px-2 py-0.5 rounded-full bg-black/60 text-xs">👁 {viewers} watching</span>}
+      <div className="absolute left-4 right-20 bottom-6">
+        {v.author && (
+          <Link to={`/u/${encodeURIComponent(v.author.username)}`} className="flex items-center gap-2 mb-2 font-semibold hover:underline">
+            <Avatar user={v.author} size="w-8 h-8 text-sm" /> @{v.author.username}
+          </Link>
+        )}
+        <p className="font-bold"><RichTitle title={v.title} mentions={v.mentions} /></p>
+      </div>
+      <div className="absolute right-3 bottom-24 flex flex-col items-center gap-5">
+        <button onClick={()=>setLike(!liked)} className="flex flex-col items-center">
+          <span className={`text-3xl ${liked ? 'text-pink-500' : ''}`}>♥</span><span className="text-xs">{likes}</span>
+        </button>
+        <button onClick={()=>onComments(v, d=>setCommentsCount(c=>c + d))} className="flex flex-col items-center">
+          <span className="text-3xl">💬</span><span className="text-xs">{commentsCount}</span>
+        </button>
+      </div>
+    </section>
+  );
+}
+
+// Full-screen, one-video-at-a-time player over a feed's `videos`: snap
+// scrolling (so touch swipes work natively), arrow keys / j-k, and one slide
+// per mouse-wheel gesture. Only the current slide and its neighbours are
+// mounted; the rest of the list is stood in for by spacers of the same
+// height, so the DOM stays small however far a session scrolls.
+// It is rendered over the feed page, which stays mounted (and keeps its
+// scroll position) underneath; likes are written back through `setVideos`.
+export default function SwipePlayer({ videos, setVideos, done, loadMore, onClose }){
+  const scroller = useRef(null);
+  const [currentId, setCurrentId] = useState(videos[0]?._id);
+  const [muted, setMuted] = useState(false);
+  const [comments, setComments] = useState(null);
+  const placed = useRef({ id: currentId, index: 0 });
+
+  const found = videos.findIndex(v=>v._id === currentId);
+  // a removed current video hands its place to whatever slid into it
+  const current = found >= 0 ? found : Math.max(0, Math.min(placed.current.index, videos.length - 1));
+  const currentRef = useRef(current);
+  currentRef.current = current;
+
+  const onLiked = useCallback((id, { likedByMe, likes })=>{
+    setVideos(prev=>prev.map(v=>v._id === id ? { ...v, likedByMe, likes } : v));
+  },[setVideos]);
+
+  // whatever the page underneath was playing would otherwise carry on
+  useEffect(()=>{
+    document.querySelectorAll('video').forEach(el=>{ if(!scroller.current.contains(el)) el.pause(); });
+  },[]);
+
+  // live pushes insert above the current video (or reorder the list); keep
+  // it on screen instead of letting it drift
+  useLayoutEffect(()=>{
+    const el = scroller.current;
+    const { id, index } = placed.current;
+    if(el && id === currentId && index !== current) el.scrollTop += (current - index) * el.clientHeight;
+    placed.current = { id: currentId, index: current };
+  });
+
+  useEffect(()=>{
+    if(!done && current >= videos.length - LOAD_MORE_WITHIN) loadMore();
+  },[current, videos.length, done, loadMore]);
+
+  const step = useCallback(dir=>{
+    const el = scroller.current;
+    const target = Math.max(0, Math.min(currentRef.current + dir, videos.length - 1));
+    el.scrollTo({ top: target * el.clientHeight, behavior: 'smooth' });
+  },[videos.length]);
+
+  useEffect(()=>{
+    const onKey = e=>{
+      if(e.target.closest?.('input, textarea')) return;
+      if(['ArrowDown', 'PageDown', 'j'].includes(e.key)){ e.preventDefault(); step(1); }
+      else if(['ArrowUp', 'PageUp', 'k'].includes(e.key)){ e.preventDefault(); step(-1); }
+      else if(e.key === 'm') setMuted(m=>!m);
+      else if(e.key === 'Escape' && !comments) onClose();
+    };
+    window.addEventListener('keydown', onKey);
+    return ()=> window.removeEventListener('keydown', onKey);
+  },[step, comments, onClose]);
+
+  // wheels and trackpads would otherwise fling past several videos at once
+  useEffect(()=>{
+    const el = scroller.current;
+    let locked = false, timer;
+    const onWheel = e=>{
+      e.preventDefault();
+      if(locked || Math.abs(e.deltaY) < WHEEL_THRESHOLD) return;
+      locked = true;
+      step(Math.sign(e.deltaY));
+      timer = setTimeout(()=>{ locked = false; }, WHEEL_LOCK_MS);
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return ()=>{
+      el.removeEventListener('wheel', onWheel);
+      clearTimeout(timer);
+    };
+  },[step]);
+
+  const start = Math.max(0, current - BEHIND);
+  const end = Math.min(videos.length, current + AHEAD + 1);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black">
+      <div ref={scroller} className="h-full overflow-y-scroll overscroll-contain snap-y snap-mandatory no-scrollbar">
+        <div style={{ height: `${start * 100}%` }} />
+        {videos.slice(start, end).map((v, i) => (
+          <Slide key={v._id} v={v} current={start + i === current} muted={muted}
+            onToggleMute={()=>setMuted(m=>!m)} onBlocked={()=>setMuted(true)} onCurrent={setCurrentId}
+            onComments={(video, onCountChange)=>setComments({ video, onCountChange })} onLiked={onLiked} />
+        ))}
+        <div style={{ height: `${(videos.length - end) * 100}%` }} />
+        {!videos.length && <p className="h-full flex items-center justify-center text-gray-400">{done ? 'No videos yet.' : 'Loading…'}</p>}
+      </div>
+      <button onClick={onClose} className="absolute top-4 right-4 text-2xl" title="Close (Esc)">✕</button>
+      <button onClick={()=>setMuted(m=>!m)} className="absolute top-4 left-4 text-xl" title="Mute (m)">{muted ? '🔇' : '🔊'}</button>
+      {comments && <CommentDrawer video={comments.video} onClose={()=>setComments(null)} onCountChange={comments.onCountChange} />}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/components/CommentDrawer.jsx
 
 ```jsx
-export default function VideoCard({ v }){
+import { useEffect, useState } from 'react';
+import api from '../api';
+import socket from '../socket';
+import { watchVideo } from '../utils/videoRooms';
+
+const addUnique = (list, c, atStart) => list.some(x => x._id === c._id) ? list : (atStart ? [c, ...list] : [...list, c]);
+
+function CommentItem({ c, video, onReply, onDeleted }){
+  const me = localStorage.getItem('userId');
+  const [liked, setLiked] = useState(!!c.likedByMe);
+  const [likes, setLikes] = useState(c.likes || 0);
+  const canDelete = me && (c.user?._id === me || String(video.user) === me);
+
+  const toggleLike = async ()=>{
+    if(!me) return alert('Login to like comments');
+    const url = `/api/videos/${video._id}/comments/${c._id}/like`;
+    const r = liked ? await api.delete(url) : await api.post(url);
+    setLiked(r.data.likedByMe);
+    setLikes(r.data.likes);
+  }
+
+  const remove = async ()=>{
+    await api.delete(`/api/videos/${video._id}/comments/${c._id}`);
+    onDeleted(c);
+  }
+
+  return (
+    <div className="py-2">
+      <p className="text-sm"><span className="font-semibold">{c.user?.username || 'user'}</span> {c.text}</p>
+      <div className="flex gap-3 text-xs text-gray-400 mt-1">
+        <span>{new Date(c.createdAt).toLocaleString()}</span>
+        <button onClick={toggleLike}>{liked ? '♥' : '♡'} {likes}</button>
+        {onReply && <button onClick={()=>onReply(c)}>Reply</button>}
+        {canDelete && <button onClick={remove}>Delete</button>}
+      </div>
+    </div>
+  );
+}
+
+function Thread({ c, video, onReply, onDeleted, incoming, removed }){
+  const [replies, setReplies] = useState([]);
+  const [cursor, setCursor] = useState(undefined);
+  const [open, setOpen] = useState(false);
+
+  const load = async ()=>{
+    const r = await api.get(`/api/videos/${video._id}/comments`, { params: { parent: c._id, cursor } });
+    setReplies(prev => r.data.items.reduce((acc, x) => addUnique(acc, x, false), prev));
+    setCursor(r.data.nextCursor);
+    setOpen(true);
+  }
+
+  useEffect(()=>{
+    if(incoming?.parent === c._id) setReplies(prev => addUnique(prev, incoming, true));
+  },[incoming, c._id]);
+
+  useEffect(()=>{
+    if(removed?.parent === c._id) setReplies(prev => prev.filter(r => r._id !== removed.commentId));
+  },[removed, c._id]);
+
+  return (
+    <div className="border-b border-white/10">
+      <CommentItem c={c} video={video} onReply={onReply} onDeleted={onDeleted} />
+      <div className="pl-6">
+        {replies.map(r => <CommentItem key={r._id} c={r} video={video} onDeleted={x=>{ setReplies(p=>p.filter(y=>y._id!==x._id)); onDeleted(x); }} />)}
+        {c.replyCount > replies.length && (!open || cursor) &&
+          <button className="text-xs text-gray-400 pb-2" onClick={load}>View replies ({c.replyCount - replies.length})</button>}
+      </div>
+    </div>
+  );
+}
+
+export default function CommentDrawer({ video, onClose, onCountChange }){
+  const [comments, setComments] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [incoming, setIncoming] = useState(null);
+  const [removed, setRemoved] = useState(null);
+
+  const loadMore = async (from)=>{
+    const r = await api.get(`/api/videos/${video._id}/comments`, { params: { cursor: from } });
+    setComments(prev => r.data.items.reduce((acc, x) => addUnique(acc, x, false), from ? prev : []));
+    setCursor(r.data.nextCursor);
+  }
+
+  useEffect(()=>{
+    loadMore(null);
+    const unwatch = watchVideo(video._id);
+    // new comments (ours included) arrive over the socket; dedupe by _id
+    const onCreated = c => {
+      if(c.video !== video._id) return;
+      if(c.parent) setIncoming(c);
+      else setComments(prev => addUnique(prev, c, true));
+    };
+    const onDeleted = ({ videoId, commentId, parent }) => {
+      if(videoId !== video._id) return;
+      if(parent) setRemoved({ commentId, parent });
+      else setComments(prev => prev.filter(c => c._id !== commentId));
+    };
+    socket.on('comment-created', onCreated);
+    socket.on('comment-deleted', onDeleted);
+    return ()=>{
+      unwatch();
+      socket.off('comment-created', onCreated);
+      socket.off('comment-deleted', onDeleted);
+    };
+  },[video._id]);
+
+  const submit = async (e)=>{
+    e.preventDefault();
+    if(!localStorage.getItem('token')) return alert('Login to comment');
+    if(!text.trim()) return;
+    const r = await api.post(`/api/videos/${video._id}/comments`, { text, parentId: replyTo?._id });
+    if(!r.data.parent) setComments(prev => addUnique(prev, r.data, true));
+    else setIncoming(r.data);
+    onCountChange(1);
+    setText('');
+    setReplyTo(null);
+  }
+
+  const handleDeleted = (c)=>{
+    setComments(prev => prev.filter(x => x._id !== c._id));
+    onCountChange(-(1 + (c.parent ? 0 : c.replyCount || 0)));
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-end justify-center bg-black/50" onClick={onClose}>
+      <div className="w-full max-w-lg h-2/3 bg-gray-900 rounded-t-2xl p-4 flex flex-col" onClick={e=>e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="font-bold">Comments</h3>
+          <button onClick={onClose}>✕</button>
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {comments.map(c => <Thread key={c._id} c={c} video={video} onReply={setReplyTo} onDeleted={handleDeleted} incoming={incoming} removed={removed} />)}
+          {cursor && <button className="text-sm text-gray-400 py-2" onClick={()=>loadMore(cursor)}>Load more</button>}
+          {!comments.length && <p className="text-sm text-gray-400">No comments yet</p>}
+        </div>
+        <form onSubmit={submit} className="mt-2 flex gap-2">
+          <input className="flex-1 p-2 rounded text-black" maxLength={500}
+            placeholder={replyTo ? `Reply to ${replyTo.user?.username}` : 'Add a comment'}
+            value={text} onChange={e=>setText(e.target.value)} />
+          {replyTo && <button type="button" onClick={()=>setReplyTo(null)}>✕</button>}
+          <button className="bg-white text-black px-3 rounded">Post</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/utils/feed.js
+
+```js
+// Helpers for keeping feed lists free of duplicates when REST pages and
+// socket pushes overlap. Everything is keyed by video `_id`.
+
+export function mergeById(list, incoming, { prepend = false } = {}){
+  const seen = new Set(list.map(v => v._id));
+  const fresh = incoming.filter(v => v && !seen.has(v._id) && seen.add(v._id));
+  return prepend ? [...fresh, ...list] : [...list, ...fresh];
+}
+
+// applies a `trending-diff` event: drops videos that left, adds entering
+// ones and reorders everything in the new top list by rank
+export function applyTrendingDiff(list, diff){
+  const left = new Set(diff.left.map(l => l._id));
+  const merged = mergeById(list.filter(v => !left.has(v._id)), diff.entered.map(e => e.video));
+  const rank = new Map(diff.top.map((id, i) => [id, i]));
+  const order = v => rank.has(v._id) ? rank.get(v._id) : diff.top.length; // unranked keep their relative order after the top list
+  return merged.slice().sort((a, b) => order(a) - order(b));
+}
+```
+
+---
+
+### frontend/src/utils/videoRooms.js
+
+```js
+import socket from '../socket';
+
+// Per-video room membership, shared by everything that shows a video (its
+// card, its comment drawer): the room is joined by the first watcher and
+// left with the last. Rooms are joined again after a reconnect.
+const watchers = new Map();
+
+export function watchVideo(id){
+  const count = watchers.get(id) || 0;
+  watchers.set(id, count + 1);
+  if(!count && socket.connected) socket.emit('watch-video', id);
+  return ()=>{
+    const left = watchers.get(id) - 1;
+    if(left){ watchers.set(id, left); return; }
+    watchers.delete(id);
+    if(socket.connected) socket.emit('unwatch-video', id);
+  };
+}
+
+socket.on('connect', ()=>{
+  for(const id of watchers.keys()) socket.emit('watch-video', id);
+});
+```
+
+---
+
+### frontend/src/utils/resumableUpload.js
+
+```js
+import api from '../api';
+
+// Client side of the /api/uploads protocol. The upload id is remembered per
+// file (name + size + mtime), so choosing the same file again after a reload
+// resumes where it left off. Chunks carry a SHA-256 checksum and are retried
+// with backoff; when the connection drops for good the upload pauses and
+// resumes once the browser is back online.
+const storeKey = file => `upload:${file.name}:${file.size}:${file.lastModified}`;
+const MAX_RETRIES = 4;
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function sha256Hex(blob){
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const isNetworkError = err => !err.response && err.code !== 'ERR_CANCELED';
+const message = err => err.response?.data?.error || err.message;
+
+export function createResumableUpload(file, { title, onProgress = ()=>{}, onStateChange = ()=>{} }){
+  let session = null;
+  let controller = null;
+  let state = 'idle'; // idle | uploading | paused | completing | done | error
+  const done = new Set();
+  const inFlight = {}; // index -> bytes sent of the current attempt
+
+  const setState = (s, extra = {}) => { state = s; onStateChange(s, extra); };
+  const report = () => {
+    if(!session) return;
+    const sent = [...done].reduce((n, i) => n + chunkBytes(i), 0) + Object.values(inFlight).reduce((a, b) => a + b, 0);
+    onProgress(Math.min(1, sent / file.size));
+  };
+  const chunkBytes = i => Math.min(session.chunkSize, file.size - i * session.chunkSize);
+
+  async function openSession(){
+    const saved = localStorage.getItem(storeKey(file));
+    if(saved){
+      try {
+        session = (await api.get(`/api/uploads/${saved}`)).data;
+        session.received.forEach(i => done.add(i));
+        return;
+      } catch (err) {
+        if(isNetworkError(err)) throw err;
+        localStorage.removeItem(storeKey(file)); // expired or not ours: start over
+      }
+    }
+    session = (await api.post('/api/uploads', { filename: file.name, size: file.size, type: file.type, title })).data;
+    localStorage.setItem(storeKey(file), session.uploadId);
+  }
+
+  async function sendChunk(index){
+    const blob = file.slice(index * session.chunkSize, index * session.chunkSize + chunkBytes(index));
+    const checksum = await sha256Hex(blob);
+    for(let attempt = 0; ; attempt++){
+      try {
+        await api.put(`/api/uploads/${session.uploadId}/chunks/${index}`, blob, {
+          headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': checksum },
+          signal: controller.signal,
+          onUploadProgress: e => { inFlight[index] = e.loaded; report(); },
+        });
+        delete inFlight[index];
+        done.add(index);
+        report();
+        return;
+      } catch (err) {
+        delete inFlight[index];
+        const retryable = isNetworkError(err) || err.response?.status === 422 || err.response?.status >= 500;
+        if(!retryable || attempt >= MAX_RETRIES) throw err;
+        await sleep(1000 * 2 ** attempt);
+      }
+    }
+  }
+
+  async function start(){
+    if(state === 'uploading' || state === 'completing' || state === 'done') return;
+    controller = new AbortController();
+    setState('uploading');
+    try {
+      if(!session) await openSession();
+      report();
+      for(let i = 0; i < session.totalChunks; i++){
+        if(controller.signal.aborted) return;
+        if(!done.has(i)) await sendChunk(i);
+      }
+      setState('completing');
+      const video = (await api.post(`/api/uploads/${session.uploadId}/complete`)).data;
+      localStorage.removeItem(storeKey(file));
+      window.removeEventListener('online', start);
+      setState('done', { video });
+    } catch (err) {
+      if(err.code === 'ERR_CANCELED') return;
+      if(isNetworkError(err)){
+        setState('paused', { error: 'Connection lost — the upload resumes when you are back online' });
+        window.addEventListener('online', start, { once: true });
+      } else setState('error', { error: message(err) });
+    }
+  }
+
+  function pause(){
+    if(state !== 'uploading') return;
+    controller?.abort();
+    Object.keys(inFlight).forEach(k => delete inFlight[k]);
+    report();
+    setState('paused');
+  }
+
+  async function cancel(){
+    controller?.abort();
+    window.removeEventListener('online', start);
+    localStorage.removeItem(storeKey(file));
+    if(session) await api.delete(`/api/uploads/${session.uploadId}`).catch(()=>{});
+    setState('idle');
+  }
+
+  return { start, pause, resume: start, cancel };
+}
+```
+
+---
+
+### frontend/src/utils/analytics.js
+
+```js
+import { BACKEND_URL, viewerId } from '../api';
+
+// Batches player events and sends them every few seconds, and once more with
+// `keepalive` when the tab is hidden so nothing is lost on navigation.
+const FLUSH_MS = 10000;
+let queue = [];
+let timer = null;
+
+export function flushEvents(){
+  clearTimeout(timer);
+  timer = null;
+  if(!queue.length) return;
+  const events = queue.splice(0, queue.length);
+  const token = localStorage.getItem('token');
+  fetch(`${BACKEND_URL}/api/analytics/events`, {
+    method: 'POST',
+    keepalive: true,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify({ viewerId: viewerId(), events }),
+  }).catch(()=>{}); // analytics must never break playback
+}
+
+// type: play | progress | complete
+export function trackEvent(videoId, type, extra = {}){
+  queue.push({ videoId, type, ...extra });
+  if(queue.length >= 40) flushEvents();
+  else if(!timer) timer = setTimeout(flushEvents, FLUSH_MS);
+}
+
+document.addEventListener('visibilitychange', ()=>{ if(document.visibilityState === 'hidden') flushEvents(); });
+```
+
+---
+
+### frontend/src/hooks/usePaginatedFeed.js
+
+```js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import api from '../api';
+import socket from '../socket';
+import { mergeById } from '../utils/feed';
+
+// Loads `path` page by page ({ items, nextCursor }) and fetches the next page
+// when the element given to `sentinelRef` scrolls into view. `setVideos` is
+// exposed so pages can merge socket pushes (live or replayed) into the same
+// list, deduplicated by _id; any other
+// fields of the first page are returned as `meta`. Videos taken down by a
+// moderator are dropped as soon as the server announces it.
+export default function usePaginatedFeed(path, { enabled = true, limit = 10 } = {}){
+  const [videos, setVideos] = useState([]);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(null);
+  const [meta, setMeta] = useState({});
+  const cursor = useRef(null);
+  const loading = useRef(false);
+  const sentinel = useRef(null);
+
+  const loadMore = useCallback(async ()=>{
+    if(!enabled || loading.current || done) return;
+    loading.current = true;
+    try {
+      const r = await api.get(path, { params: { cursor: cursor.current || undefined, limit } });
+      const { items, nextCursor, ...rest } = r.data;
+      if(!cursor.current) setMeta(rest);
+      setVideos(prev => mergeById(prev, items));
+      cursor.current = nextCursor;
+      setDone(!nextCursor);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally { loading.current = false; }
+  },[path, enabled, limit, done]);
+
+  // starts over from the first page; pages call it when live updates can't
+  // catch up (`feed-resync`)
+  const reload = useCallback(()=>{
+    cursor.current = null;
+    setVideos([]);
+    setMeta({});
+    setDone(false);
+  },[]);
+
+  // reset when the feed changes
+  useEffect(reload,[path]);
+
+  useEffect(()=>{
+    const onRemoved = ({ _id }) => setVideos(prev=>prev.filter(v=>v._id !== _id));
+    socket.on('video-removed', onRemoved);
+    return ()=> socket.off('video-removed', onRemoved);
+  },[]);
+
+  const sentinelRef = useCallback(node=>{ sentinel.current = node; },[]);
+
+  // re-observing after every page fires an initial callback, so a page that
+  // doesn't fill the screen immediately pulls the next one
+  useEffect(()=>{
+    if(!sentinel.current || done) return;
+    const observer = new IntersectionObserver(entries=>{
+      if(entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '600px' });
+    observer.observe(sentinel.current);
+    return ()=> observer.disconnect();
+  },[loadMore, videos.length, done]);
+
+  return { videos, setVideos, meta, loadMore, reload, done, error, sentinelRef };
+}
+```
+
+---
+
+### frontend/src/hooks/useLiveVideo.js
+
+```js
+import { useEffect, useState } from 'react';
+import api from '../api';
+import socket from '../socket';
+import { watchVideo } from '../utils/videoRooms';
+
+// Like state and live counts for a video shown in the element behind `ref`
+// (a feed card or a full-screen slide). The video's room is joined while at
+// least a quarter of the element is on screen; leaving the viewport leaves it.
+// `onLiked` receives the server's { likedByMe, likes } so the owner of the
+// list can keep its copy of `v` in step; changes to that copy are picked up.
+export default function useLiveVideo(v, ref, { onLiked } = {}){
+  const [liked, setLiked] = useState(!!v.likedByMe);
+  const [likes, setLikes] = useState(v.likes || 0);
+  const [commentsCount, setCommentsCount] = useState(v.commentsCount || 0);
+  const [viewers, setViewers] = useState(null);
+
+  useEffect(()=>{ setLiked(!!v.likedByMe); },[v.likedByMe]);
+  useEffect(()=>{ setLikes(v.likes || 0); },[v.likes]);
+
+  useEffect(()=>{
+    let unwatch = null;
+    const observer = new IntersectionObserver(([entry])=>{
+      if(entry.isIntersecting && !unwatch) unwatch = watchVideo(v._id);
+      else if(!entry.isIntersecting && unwatch){ unwatch(); unwatch = null; setViewers(null); }
+    }, { threshold: 0.25 });
+    observer.observe(ref.current);
+    const onStats = s => {
+      if(s._id !== v._id) return;
+      if(s.likes !== undefined) setLikes(s.likes);
+      if(s.commentsCount !== undefined) setCommentsCount(s.commentsCount);
+      if(s.viewers !== undefined) setViewers(s.viewers);
+    };
+    socket.on('video-stats', onStats);
+    return ()=>{
+      observer.disconnect();
+      if(unwatch) unwatch();
+      socket.off('video-stats', onStats);
+    };
+  },[v._id]);
+
+  // optimistic: the heart flips at once and flips back if the request fails;
+  // resolves to whether it went through
+  const setLike = async want=>{
+    if(!localStorage.getItem('token')) return alert('Login to like videos');
+    const delta = want === liked ? 0 : (want ? 1 : -1);
+    setLiked(want);
+    setLikes(n=>n + delta);
+    try {
+      const r = want ? await api.post(`/api/videos/${v._id}/like`) : await api.delete(`/api/videos/${v._id}/like`);
+      setLiked(r.data.likedByMe);
+      setLikes(r.data.likes);
+      onLiked?.(v._id, r.data);
+      return true;
+    } catch (err) {
+      setLiked(liked);
+      setLikes(n=>n - delta);
+      return false;
+    }
+  }
+
+  return { liked, likes, commentsCount, setCommentsCount, viewers, setLike };
+}
+```
+
+---
+
+### frontend/src/pages/Feed.jsx
+
+```jsx
+import { useEffect, useState } from 'react';
+import VideoCard from '../components/VideoCard';
+import SwipePlayer from '../components/SwipePlayer';
+import socket from '../socket';
+import { mergeById } from '../utils/feed';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+export default function Feed(){
+  const { videos, setVideos, loadMore, done, error, sentinelRef } = usePaginatedFeed('/api/videos/for-you');
+  const [fullScreen, setFullScreen] = useState(false);
+
+  useEffect(()=>{
+    // surface newly trending videos at the top, once each
+    const onDiff = diff => setVideos(prev=>mergeById(prev, diff.entered.map(e=>e.video), { prepend: true }));
+    socket.on('trending-diff', onDiff);
+
+    return ()=> socket.off('trending-diff', onDiff);
+  },[]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl">For you</h2>
+        <button onClick={()=>setFullScreen(true)} className="px-3 py-1 rounded-full bg-white/10 text-sm">▶ Full screen</button>
+      </div>
+      {videos.map(v => <VideoCard key={v._id} v={v} />)}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {fullScreen && <SwipePlayer videos={videos} setVideos={setVideos} done={done} loadMore={loadMore} onClose={()=>setFullScreen(false)} />}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/FollowingFeed.jsx
+
+```jsx
+import { useEffect, useState } from 'react';
+import VideoCard from '../components/VideoCard';
+import SwipePlayer from '../components/SwipePlayer';
+import socket from '../socket';
+import { mergeById } from '../utils/feed';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+// userId is stored after login; the server derives identity from the token
+const getUserId = ()=> localStorage.getItem('userId');
+
+export default function FollowingFeed(){
+  const userId = getUserId();
+  const { videos, setVideos, loadMore, reload, done, error, sentinelRef } = usePaginatedFeed('/api/users/following-videos', { enabled: !!userId });
+  const [fullScreen, setFullScreen] = useState(false);
+
+  useEffect(()=>{
+    if(!userId) return;
+    // the socket joins our personal room during the authenticated handshake;
+    // uploads missed while offline are replayed on reconnect
+    const onUpload = v => setVideos(prev=>mergeById(prev, [v], { prepend: true }));
+    const onResync = ({ room }) => { if(room === `user_${userId}`) reload(); };
+    socket.on('feed-update-following', onUpload);
+    socket.on('feed-resync', onResync);
+    return ()=> {
+      socket.off('feed-update-following', onUpload);
+      socket.off('feed-resync', onResync);
+    };
+  },[userId, reload]);
+
+  if(!userId) return <div>Please login to see following feed (go to /auth)</div>;
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl">Following</h2>
+        <button onClick={()=>setFullScreen(true)} className="px-3 py-1 rounded-full bg-white/10 text-sm">▶ Full screen</button>
+      </div>
+      {videos.map(v => <VideoCard key={v._id} v={v} />)}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {fullScreen && <SwipePlayer videos={videos} setVideos={setVideos} done={done} loadMore={loadMore} onClose={()=>setFullScreen(false)} />}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/TrendingFeed.jsx
+
+```jsx
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import VideoCard from '../components/VideoCard';
+import SwipePlayer from '../components/SwipePlayer';
+import socket from '../socket';
+import { applyTrendingDiff } from '../utils/feed';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+export default function TrendingFeed(){
+  const { videos, setVideos, loadMore, reload, done, error, sentinelRef } = usePaginatedFeed('/api/videos/trending');
+  const [tags, setTags] = useState([]);
+  const [fullScreen, setFullScreen] = useState(false);
+
+  useEffect(()=>{
+    api.get('/api/tags', { params: { limit: 12 } }).then(r=>setTags(r.data.items)).catch(()=>{});
+  },[]);
+
+  useEffect(()=>{
+    const onDiff = diff => setVideos(prev=>applyTrendingDiff(prev, diff));
+    const onResync = ({ room }) => { if(room === 'trending') reload(); };
+    socket.on('trending-diff', onDiff);
+    socket.on('feed-resync', onResync);
+    return ()=> {
+      socket.off('trending-diff', onDiff);
+      socket.off('feed-resync', onResync);
+    };
+  },[reload]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl">Trending</h2>
+        <button onClick={()=>setFullScreen(true)} className="px-3 py-1 rounded-full bg-white/10 text-sm">▶ Full screen</button>
+      </div>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {tags.map(t => (
+            <Link key={t.tag} to={`/tags/${encodeURIComponent(t.tag)}`} className="px-3 py-1 rounded-full bg-white/10 text-sm hover:bg-white/20">
+              #{t.tag} <span className="text-gray-400">{t.week}</span>
+            </Link>
+          ))}
+        </div>
+      )}
+      {videos.map(v => <VideoCard key={v._id} v={v} />)}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {fullScreen && <SwipePlayer videos={videos} setVideos={setVideos} done={done} loadMore={loadMore} onClose={()=>setFullScreen(false)} />}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/Upload.jsx
+
+```jsx
+import { useEffect, useRef, useState } from 'react';
+import { createResumableUpload } from '../utils/resumableUpload';
+
+const MAX_MB = Number(import.meta.env.VITE_MAX_UPLOAD_MB || 500);
+
+export default function Upload(){
+  const [title, setTitle] = useState('');
+  const [file, setFile] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [state, setState] = useState('idle');
+  const [error, setError] = useState(null);
+  const upload = useRef(null);
+
+  // leaving the page only pauses; picking the same file again resumes
+  useEffect(()=> ()=> upload.current?.pause(), []);
+
+  const chooseFile = (e)=>{
+    const f = e.target.files[0];
+    setError(null);
+    if(f && !f.type.startsWith('video/')) return setError('Please choose a video file');
+    if(f && f.size > MAX_MB * 1024 * 1024) return setError(`Videos are limited to ${MAX_MB} MB`);
+    setFile(f || null);
+  }
+
+  const submit = (e) =>{
+    e.preventDefault();
+    if(!file) return setError('Choose a video first');
+    setError(null);
+    upload.current = createResumableUpload(file, {
+      title,
+      onProgress: setProgress,
+      onStateChange: (s, extra) => { setState(s); setError(extra.error || null); },
+    });
+    upload.current.start();
+  }
+
+  const busy = state === 'uploading' || state === 'completing' || state === 'paused';
+
+  return (
+    <form onSubmit={submit} className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">
+      <h2 className="text-lg mb-4">Upload</h2>
+      <input className="w-full mb-3 p-2 rounded" placeholder="Title" value={title} disabled={busy} onChange={e=>setTitle(e.target.value)} />
+      <input className="w-full mb-3" type="file" accept="video/*" disabled={busy} onChange={chooseFile} />
+
+      {state !== 'idle' && (
+        <div className="mb-3">
+          <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+            <div className="h-full bg-pink-600 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+          </div>
+          <p className="text-sm text-gray-300 mt-1">
+            {state === 'completing' ? 'Finishing…' : state === 'done' ? 'Uploaded — your video will appear once processing finishes' : `${Math.round(progress * 100)}%${state === 'paused' ? ' (paused)' : ''}`}
+          </p>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      <div className="flex gap-2">
+        {!busy && <button className="bg-white text-black px-4 py-2 rounded">Upload</button>}
+        {state === 'uploading' && <button type="button" className="bg-white/20 px-4 py-2 rounded" onClick={()=>upload.current.pause()}>Pause</button>}
+        {state === 'paused' && <button type="button" className="bg-white text-black px-4 py-2 rounded" onClick={()=>upload.current.resume()}>Resume</button>}
+        {busy && state !== 'completing' && <button type="button" className="px-4 py-2 rounded" onClick={()=>upload.current.cancel()}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/Auth.jsx
+
+```jsx
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api, { saveSession } from '../api';
+import { reconnectSocket } from '../socket';
+
+const errorOf = err => err.response?.data?.error || err.message;
+
+export default function Auth(){
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [username, setUsername] = useState('');
+  const [mode, setMode] = useState('login');
+  const [message, setMessage] = useState(null);
+  const [unverified, setUnverified] = useState(false);
+  const navigate = useNavigate();
+
+  const submit = async (e)=>{
+    e.preventDefault();
+    setMessage(null);
+    setUnverified(false);
+    try {
+      if(mode==='register'){
+        await api.post('/api/auth/register', { username, email, password });
+        setMessage(`Almost done — we sent a confirmation link to ${email}.`);
+        setMode('login');
+      } else if(mode==='forgot'){
+        await api.post('/api/auth/password-reset', { email });
+        setMessage(`If ${email} has an account, a reset link is on its way.`);
+      } else {
+        const res = await api.post('/api/auth/login', { email, password });
+        saveSession(res.data);
+        reconnectSocket();
+        navigate('/');
+      }
+    } catch (err) {
+      setUnverified(!!err.response?.data?.unverified);
+      setMessage(errorOf(err));
+    }
+  }
+
+  const resend = async ()=>{
+    await api.post('/api/auth/verify-email/resend', { email }).catch(()=>{});
+    setUnverified(false);
+    setMessage(`We sent a new confirmation link to ${email}.`);
+  }
+
+  const title = { login: 'Login', register: 'Register', forgot: 'Reset password' }[mode];
+
   return (
-    <div className="video-card mb-6 p-4">
-      <div className="aspect-video bg-black rounded-xl overflow-hidden">
-        <video className="w-full h-full object-cover" src={`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}${v.url}`} controls playsInline />
-      </div>
-      <div className="mt-3 flex items-center justify-between">
-        <div>
-          <h3 className="font-bold">{v.title || 'Untitled'}</h3>
-          <p className="text-sm text-gray-300">{v.likes} likes • {new Date(v.createdAt).toLocaleString()}</p>
-        </div>
+    <form onSubmit={submit} className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">
+      <h2 className="text-lg mb-4">{title}</h2>
+      {mode==='register' && <input className="w-full mb-3 p-2 rounded" placeholder="Username" value={username} onChange={e=>setUsername(e.target.value)} />}
+      <input className="w-full mb-3 p-2 rounded" placeholder="Email" value={email} onChange={e=>setEmail(e.target.value)} />
+      {mode!=='forgot' && <input type="password" className="w-full mb-3 p-2 rounded" placeholder="Password" value={password} onChange={e=>setPassword(e.target.value)} />}
+      {message && <p className="mb-3 text-sm text-gray-300">{message}</p>}
+      {unverified && <button type="button" onClick={resend} className="mb-3 text-sm underline">Send the confirmation link again</button>}
+      <button className="bg-white text-black px-4 py-2 rounded">{mode==='forgot' ? 'Send reset link' : title}</button>
+      <div className="mt-3 text-sm flex gap-4">
+        <button type="button" onClick={()=>setMode(mode==='login'?'register':'login')}>Switch to {mode==='login'?'register':'login'}</button>
+        {mode==='login' && <button type="button" onClick={()=>setMode('forgot')}>Forgot password?</button>}
       </div>
+    </form>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/VerifyEmail.jsx
+
+```jsx
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../api';
+
+// landing page of the link in the confirmation email
+export default function VerifyEmail(){
+  const [params] = useSearchParams();
+  const [state, setState] = useState({ status: 'loading' });
+  const sent = useRef(null);
+
+  useEffect(()=>{
+    // tokens are single-use and StrictMode runs effects twice in development,
+    // which would make the second call fail and overwrite the result
+    const token = params.get('token');
+    if(sent.current === token) return;
+    sent.current = token;
+    api.post('/api/auth/verify-email', { token })
+      .then(()=>setState({ status: 'done' }))
+      .catch(err=>setState({ status: 'error', error: err.response?.data?.error || err.message }));
+  },[params]);
+
+  return (
+    <div className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">
+      {state.status === 'loading' && <p>Confirming your email…</p>}
+      {state.status === 'done' && <p>Your email is confirmed. <Link to="/auth" className="underline">Log in</Link></p>}
+      {state.status === 'error' && <p className="text-red-400">{state.error}. You can ask for a new link when logging in.</p>}
     </div>
   );
 }
@@ -580,29 +7523,154 @@ export default function VideoCard({ v }){
 
 ---
 
-### frontend/src/pages/Feed.jsx
+### frontend/src/pages/ResetPassword.jsx
+
+```jsx
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../api';
+
+// landing page of the link in the password reset email
+export default function ResetPassword(){
+  const [params] = useSearchParams();
+  const [password, setPassword] = useState('');
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async e=>{
+    e.preventDefault();
+    try {
+      await api.post('/api/auth/password-reset/confirm', { token: params.get('token'), password });
+      setDone(true);
+    } catch (err) { setError(err.response?.data?.error || err.message); }
+  }
+
+  if(done) return <div className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">Password changed, and every device was signed out. <Link to="/auth" className="underline">Log in</Link></div>;
+
+  return (
+    <form onSubmit={submit} className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">
+      <h2 className="text-lg mb-4">Choose a new password</h2>
+      <input type="password" className="w-full mb-3 p-2 rounded" placeholder="New password (8+ characters)" value={password} onChange={e=>setPassword(e.target.value)} />
+      {error && <p className="mb-3 text-sm text-red-400">{error}</p>}
+      <button className="bg-white text-black px-4 py-2 rounded">Save password</button>
+    </form>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/Analytics.jsx
 
 ```jsx
 import { useEffect, useState } from 'react';
-import axios from 'axios';
-import VideoCard from '../components/VideoCard';
-import socket from '../socket';
+import api from '../api';
 
-export default function Feed(){
-  const [videos, setVideos] = useState([]);
+const pct = x => `${Math.round(x * 100)}%`;
+const secs = x => `${x.toFixed(1)}s`;
+
+function Bars({ series, field, format = x => x }){
+  const max = Math.max(1, ...series.map(s => s[field] || 0));
+  return (
+    <div className="flex items-end gap-px h-24">
+      {series.map(s => (
+        <div key={s.day} title={`${s.day}: ${format(s[field] || 0)}`} className="flex-1 bg-pink-600/80 rounded-t"
+          style={{ height: `${((s[field] || 0) / max) * 100}%` }} />
+      ))}
+    </div>
+  );
+}
+
+function Stat({ label, value }){
+  return (
+    <div className="bg-white/5 rounded-xl p-3">
+      <p className="text-xs text-gray-400">{label}</p>
+      <p className="text-xl font-bold">{value}</p>
+    </div>
+  );
+}
+
+export default function Analytics(){
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
 
   useEffect(()=>{
-    axios.get(`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}/api/videos`).then(r=>setVideos(r.data));
+    if(!localStorage.getItem('token')) return;
+    api.get('/api/analytics/me', { params: { days } })
+      .then(r=>{ setData(r.data); setError(null); })
+      .catch(err=>setError(err.response?.data?.error || err.message));
+  },[days]);
 
-    socket.on('feed-update-trending', v => setVideos(prev=>[v,...prev]));
+  if(!localStorage.getItem('token')) return <div>Please login to see your analytics (go to /auth)</div>;
+  if(error) return <p className="text-red-400">{error}</p>;
+  if(!data) return <p className="text-gray-400">Loading…</p>;
 
-    return ()=> socket.off('feed-update-trending');
-  },[]);
+  const { totals, series, videos } = data;
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl">Analytics</h2>
+        <select className="bg-black/40 rounded p-1" value={days} onChange={e=>setDays(Number(e.target.value))}>
+          {[7, 30, 90].map(d => <option key={d} value={d}>Last {d} days</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+        <Stat label="Views" value={totals.plays} />
+        <Stat label="Unique viewers" value={totals.uniqueViewers} />
+        <Stat label="Avg. watch time" value={secs(totals.avgWatchSeconds)} />
+        <Stat label="Completion rate" value={pct(totals.completionRate)} />
+        <Stat label="New followers" value={totals.newFollowers} />
+      </div>
+      <h3 className="text-sm text-gray-300 mb-1">Views per day</h3>
+      <Bars series={series} field="plays" />
+      <h3 className="text-sm text-gray-300 mt-4 mb-1">Followers</h3>
+      <Bars series={series} field="followers" />
+      <h3 className="text-sm text-gray-300 mt-6 mb-2">Top videos</h3>
+      <table className="w-full text-sm">
+        <thead className="text-gray-400 text-left">
+          <tr><th>Video</th><th>Views</th><th>Unique</th><th>Avg. watch</th><th>Completion</th></tr>
+        </thead>
+        <tbody>
+          {videos.map(v => (
+            <tr key={v._id} className="border-t border-white/10">
+              <td className="py-1">{v.title}</td><td>{v.plays}</td><td>{v.uniqueViewers}</td>
+              <td>{secs(v.avgWatchSeconds)}</td><td>{pct(v.completionRate)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/TagFeed.jsx
+
+```jsx
+import { useParams } from 'react-router-dom';
+import VideoCard from '../components/VideoCard';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+export default function TagFeed(){
+  const { tag } = useParams();
+  const { videos, meta, done, error, sentinelRef } = usePaginatedFeed(`/api/tags/${encodeURIComponent(tag)}`);
+  const stats = meta.stats;
 
   return (
     <div>
-      <h2 className="text-xl mb-4">For you</h2>
+      <h2 className="text-xl">#{tag}</h2>
+      {stats && (
+        <p className="text-sm text-gray-400 mb-4">
+          {stats.videos} videos · {stats.today} today · {stats.week} this week
+        </p>
+      )}
       {videos.map(v => <VideoCard key={v._id} v={v} />)}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {done && !videos.length && <p className="text-gray-400">No videos with this tag yet.</p>}
     </div>
   );
 }
@@ -610,37 +7678,114 @@ export default function Feed(){
 
 ---
 
-### frontend/src/pages/FollowingFeed.jsx
+### frontend/src/pages/Search.jsx
 
 ```jsx
-import { useEffect, useState } from 'react';
-import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
 import VideoCard from '../components/VideoCard';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+const TABS = ['videos', 'users', 'tags'];
+
+export default function Search(){
+  const [params, setParams] = useSearchParams();
+  const q = params.get('q') || '';
+  const type = TABS.includes(params.get('type')) ? params.get('type') : 'videos';
+  const path = `/api/search?q=${encodeURIComponent(q)}&type=${type}`;
+  const { videos: items, done, error, sentinelRef } = usePaginatedFeed(path, { enabled: !!q.trim() });
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h2 className="text-xl mb-2">Results for “{q}”</h2>
+      <div className="flex gap-2 mb-4">
+        {TABS.map(t => (
+          <button key={t} onClick={()=>setParams({ q, type: t })}
+            className={`px-3 py-1 rounded-full capitalize ${t === type ? 'bg-white text-black' : 'bg-white/10'}`}>{t}</button>
+        ))}
+      </div>
+      {type === 'videos' && items.map(v => <VideoCard key={v._id} v={v} />)}
+      {type === 'users' && items.map(u => (
+        <Link key={u._id} to={`/u/${encodeURIComponent(u.username)}`} className="block p-3 mb-2 rounded-xl bg-white/5 hover:bg-white/10">
+          @{u.username} <span className="text-sm text-gray-400">{u.followers} followers</span>
+        </Link>
+      ))}
+      {type === 'tags' && items.map(t => (
+        <Link key={t.tag} to={`/tags/${encodeURIComponent(t.tag)}`} className="block p-3 mb-2 rounded-xl bg-white/5 hover:bg-white/10">
+          #{t.tag} <span className="text-sm text-gray-400">{t.videos} videos</span>
+        </Link>
+      ))}
+      {error && <p className="text-red-400">{error}</p>}
+      {q.trim() && !done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {done && !items.length && <p className="text-gray-400">Nothing found.</p>}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/Notifications.jsx
+
+```jsx
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
 import socket from '../socket';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+import FollowRequests from '../components/FollowRequests';
+
+const ACTIONS = {
+  follow: () => 'started following you',
+  follow_request: () => 'asked to follow you',
+  follow_accept: () => 'accepted your follow request',
+  like: n => <>liked your video {videoTitle(n)}</>,
+  comment: n => <>commented on {videoTitle(n)}</>,
+  mention: n => <>mentioned you{n.comment ? ' in a comment on ' : ' in '}{videoTitle(n)}</>,
+};
 
-// For demo, provide userId via localStorage after login
-const getUserId = ()=> localStorage.getItem('userId');
+function videoTitle(n){
+  return n.video ? <span className="font-semibold">“{n.video.title || 'Untitled'}”</span> : 'a deleted video';
+}
 
-export default function FollowingFeed(){
-  const [videos, setVideos] = useState([]);
-  const userId = getUserId();
+function who(n){
+  const [first] = n.actors;
+  const name = first ? <Link to={`/u/${encodeURIComponent(first.username)}`} className="font-semibold hover:underline">{first.username}</Link> : 'Someone';
+  const others = n.actorCount - 1;
+  return others > 0 ? <>{name} and {others} other{others > 1 ? 's' : ''}</> : name;
+}
+
+export default function Notifications(){
+  const loggedIn = !!localStorage.getItem('token');
+  const { videos: items, setVideos: setItems, done, error, sentinelRef } = usePaginatedFeed('/api/notifications', { enabled: loggedIn });
 
+  // opening the page reads everything; rows stay highlighted until the next visit
   useEffect(()=>{
-    if(!userId) return;
-    axios.get(`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}/api/users/following-videos/${userId}`)
-      .then(r=>setVideos(r.data));
+    if(loggedIn) api.post('/api/notifications/read').catch(()=>{});
+  },[loggedIn]);
 
-    socket.emit('register', userId);
-    socket.on('feed-update-following', v => setVideos(prev=>[v,...prev]));
-    return ()=> socket.off('feed-update-following');
-  },[userId]);
+  useEffect(()=>{
+    // a grouped notification comes back with the same _id: move it to the top
+    const onNotification = ({ notification }) => setItems(prev=>[notification, ...prev.filter(n=>n._id !== notification._id)]);
+    socket.on('notification', onNotification);
+    return ()=> socket.off('notification', onNotification);
+  },[]);
 
-  if(!userId) return <div>Please login to see following feed (go to /auth)</div>;
+  if(!loggedIn) return <div>Please login to see notifications (go to /auth)</div>;
 
   return (
-    <div>
-      <h2 className="text-xl mb-4">Following</h2>
-      {videos.map(v => <VideoCard key={v._id} v={v} />)}
+    <div className="max-w-xl mx-auto">
+      <h2 className="text-xl mb-4">Notifications</h2>
+      <FollowRequests />
+      {items.map(n => (
+        <div key={n._id} className={`p-3 mb-2 rounded-xl ${n.read ? 'bg-white/5' : 'bg-pink-600/20'}`}>
+          <p>{who(n)} {ACTIONS[n.type](n)}</p>
+          {n.text && n.type !== 'like' && <p className="text-sm text-gray-300 truncate">{n.text}</p>}
+          <p className="text-xs text-gray-400">{new Date(n.updatedAt).toLocaleString()}</p>
+        </div>
+      ))}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {done && !items.length && <p className="text-gray-400">Nothing yet.</p>}
     </div>
   );
 }
@@ -648,26 +7793,66 @@ export default function FollowingFeed(){
 
 ---
 
-### frontend/src/pages/TrendingFeed.jsx
+### frontend/src/pages/Inbox.jsx
 
 ```jsx
 import { useEffect, useState } from 'react';
-import axios from 'axios';
-import VideoCard from '../components/VideoCard';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../api';
 import socket from '../socket';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+
+const preview = m => !m ? '' : m.video && !m.text ? 'Shared a video' : m.text;
+
+export default function Inbox(){
+  const loggedIn = !!localStorage.getItem('token');
+  const { videos: conversations, setVideos: setConversations, done, error, sentinelRef } = usePaginatedFeed('/api/conversations', { enabled: loggedIn });
+  const [username, setUsername] = useState('');
+  const [startError, setStartError] = useState(null);
+  const navigate = useNavigate();
 
-export default function TrendingFeed(){
-  const [videos, setVideos] = useState([]);
   useEffect(()=>{
-    axios.get(`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}/api/videos/trending`).then(r=>setVideos(r.data));
-    socket.on('feed-update-trending', v => setVideos(prev=>[v,...prev]));
-    return ()=> socket.off('feed-update-trending');
+    // refetch the conversation (preview, unread count) and move it to the top
+    const onMessage = ({ conversationId })=>{
+      api.get(`/api/conversations/${conversationId}`)
+        .then(r=>setConversations(prev=>[r.data, ...prev.filter(x=>x._id !== conversationId)]))
+        .catch(()=>{});
+    };
+    socket.on('dm-message', onMessage);
+    return ()=> socket.off('dm-message', onMessage);
   },[]);
 
+  const start = async e=>{
+    e.preventDefault();
+    try {
+      const r = await api.post('/api/conversations', { username: username.trim().replace(/^@/, '') });
+      navigate(`/inbox/${r.data._id}`);
+    } catch (err) { setStartError(err.response?.data?.error || err.message); }
+  }
+
+  if(!loggedIn) return <div>Please login to see your messages (go to /auth)</div>;
+
   return (
-    <div>
-      <h2 className="text-xl mb-4">Trending</h2>
-      {videos.map(v => <VideoCard key={v._id} v={v} />)}
+    <div className="max-w-xl mx-auto">
+      <h2 className="text-xl mb-4">Inbox</h2>
+      <form onSubmit={start} className="flex gap-2 mb-4">
+        <input value={username} onChange={e=>{ setUsername(e.target.value); setStartError(null); }} placeholder="New message to @username"
+          className="flex-1 p-2 rounded bg-black/40" />
+        <button className="px-4 py-2 bg-white text-black rounded">Start</button>
+      </form>
+      {startError && <p className="text-red-400 text-sm mb-2">{startError}</p>}
+      {conversations.map(c => (
+        <Link key={c._id} to={`/inbox/${c._id}`} className="flex justify-between p-3 mb-2 rounded-xl bg-white/5 hover:bg-white/10">
+          <div className="min-w-0">
+            <p className="font-semibold">@{c.with.username}</p>
+            <p className="text-sm text-gray-400 truncate">{preview(c.lastMessage)}</p>
+          </div>
+          {c.unread > 0 && <span className="self-center bg-pink-600 text-xs rounded-full px-2">{c.unread}</span>}
+        </Link>
+      ))}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {done && !conversations.length && <p className="text-gray-400">No conversations yet.</p>}
     </div>
   );
 }
@@ -675,76 +7860,544 @@ export default function TrendingFeed(){
 
 ---
 
-### frontend/src/pages/Upload.jsx
+### frontend/src/pages/Chat.jsx
+
+```jsx
+import { useEffect, useRef, useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import api from '../api';
+import socket from '../socket';
+import { mergeById } from '../utils/feed';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+import VideoPlayer from '../components/VideoPlayer';
+
+const TYPING_EVERY_MS = 3000; // how often we tell the other side we're typing
+const TYPING_SHOWN_MS = 4000; // how long their indicator stays without a new signal
+
+function Bubble({ m, mine }){
+  return (
+    <div className={`flex ${mine ? 'justify-end' : 'justify-start'} mb-2`}>
+      <div className={`max-w-[75%] rounded-2xl px-3 py-2 ${mine ? 'bg-pink-600' : 'bg-white/10'}`}>
+        {m.video && (
+          <div className="w-56 aspect-video bg-black rounded-lg overflow-hidden mb-1">
+            <VideoPlayer v={m.video} className="w-full h-full object-contain" />
+          </div>
+        )}
+        {m.video === null && <p className="text-sm italic text-gray-300">Video unavailable</p>}
+        {m.text && <p className="whitespace-pre-wrap break-words">{m.text}</p>}
+        <p className="text-[10px] text-gray-300 text-right">{new Date(m.createdAt).toLocaleTimeString()}</p>
+      </div>
+    </div>
+  );
+}
+
+export default function Chat(){
+  const { id } = useParams();
+  const me = localStorage.getItem('userId');
+  const [conversation, setConversation] = useState(null);
+  const [text, setText] = useState('');
+  const [typing, setTyping] = useState(false);
+  const [sendError, setSendError] = useState(null);
+  const lastTypingSent = useRef(0);
+  const bottom = useRef(null);
+  const navigate = useNavigate();
+  // pages come newest first; they're shown reversed with older pages loading at the top
+  const { videos: messages, setVideos: setMessages, done, error, sentinelRef } = usePaginatedFeed(`/api/conversations/${id}/messages`, { limit: 30 });
+
+  useEffect(()=>{
+    api.get(`/api/conversations/${id}`).then(r=>setConversation(r.data)).catch(()=>{});
+    api.post(`/api/conversations/${id}/read`).catch(()=>{});
+  },[id]);
+
+  useEffect(()=>{
+    let timer;
+    const onMessage = ({ conversationId, message })=>{
+      if(conversationId !== id) return;
+      setMessages(prev=>mergeById(prev, [message], { prepend: true }));
+      if(message.sender !== me){
+        setTyping(false);
+        api.post(`/api/conversations/${id}/read`).catch(()=>{});
+      }
+    };
+    const onTyping = ({ conversationId })=>{
+      if(conversationId !== id) return;
+      setTyping(true);
+      clearTimeout(timer);
+      timer = setTimeout(()=>setTyping(false), TYPING_SHOWN_MS);
+    };
+    const onRead = ({ conversationId, userId, at })=>{
+      if(conversationId === id && userId !== me) setConversation(c=>c && { ...c, theirLastRead: at });
+    };
+    socket.on('dm-message', onMessage);
+    socket.on('dm-typing', onTyping);
+    socket.on('dm-read', onRead);
+    return ()=>{
+      clearTimeout(timer);
+      socket.off('dm-message', onMessage);
+      socket.off('dm-typing', onTyping);
+      socket.off('dm-read', onRead);
+    };
+  },[id, me]);
+
+  // keep the newest message in view
+  useEffect(()=>{ bottom.current?.scrollIntoView({ block: 'end' }); },[messages[0]?._id, typing]);
+
+  const onChange = e=>{
+    setText(e.target.value);
+    if(Date.now() - lastTypingSent.current > TYPING_EVERY_MS){
+      lastTypingSent.current = Date.now();
+      socket.emit('dm-typing', id);
+    }
+  };
+
+  const send = async e=>{
+    e.preventDefault();
+    if(!text.trim()) return;
+    try {
+      const r = await api.post(`/api/conversations/${id}/messages`, { text });
+      setMessages(prev=>mergeById(prev, [r.data], { prepend: true }));
+      setText('');
+      setSendError(null);
+    } catch (err) { setSendError(err.response?.data?.error || err.message); }
+  };
+
+  const block = async ()=>{
+    if(!window.confirm(`Block @${conversation.with.username}? Neither of you will see the other's videos, comments or messages.`)) return;
+    try {
+      await api.post('/api/users/block', { targetId: conversation.with._id });
+      navigate('/inbox');
+    } catch (err) { setSendError(err.response?.data?.error || err.message); }
+  };
+
+  const lastMine = messages.find(m=>m.sender === me);
+  const seen = lastMine && conversation?.theirLastRead && new Date(conversation.theirLastRead) >= new Date(lastMine.createdAt);
+
+  return (
+    <div className="max-w-xl mx-auto flex flex-col h-[calc(100vh-8rem)]">
+      <div className="flex items-center gap-3 mb-3">
+        <Link to="/inbox" className="text-gray-400">←</Link>
+        <h2 className="text-xl flex-1">{conversation ? `@${conversation.with.username}` : '…'}</h2>
+        {conversation && <button onClick={block} className="text-sm text-gray-400 hover:text-red-400">Block</button>}
+      </div>
+      <div className="flex-1 overflow-y-auto pr-1">
+        {!done && <div ref={sentinelRef} className="py-3 text-center text-gray-400 text-sm">Loading earlier messages…</div>}
+        {error && <p className="text-red-400">{error}</p>}
+        {[...messages].reverse().map(m => <Bubble key={m._id} m={m} mine={m.sender === me} />)}
+        {seen && <p className="text-xs text-gray-400 text-right -mt-1 mb-2">Seen</p>}
+        {typing && <p className="text-sm text-gray-400 italic mb-2">typing…</p>}
+        <div ref={bottom} />
+      </div>
+      {sendError && <p className="text-red-400 text-sm">{sendError}</p>}
+      <form onSubmit={send} className="flex gap-2 mt-2">
+        <input value={text} onChange={onChange} placeholder="Message…" className="flex-1 p-2 rounded bg-black/40" />
+        <button className="px-4 py-2 bg-white text-black rounded">Send</button>
+      </form>
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/Moderation.jsx
 
 ```jsx
 import { useState } from 'react';
-import axios from 'axios';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
+import VideoPlayer from '../components/VideoPlayer';
+
+const ACTIONS = {
+  hide_video: 'hid video',
+  unhide_video: 'restored video',
+  remove_video: 'removed video',
+  suspend_user: 'suspended user',
+  unsuspend_user: 'lifted suspension of',
+  dismiss_reports: 'dismissed reports on',
+  set_role: 'changed role of',
+};
 
-export default function Upload(){
-  const [title, setTitle] = useState('');
-  const [file, setFile] = useState(null);
+const userLink = u => <Link to={`/u/${encodeURIComponent(u.username)}`} className="font-semibold hover:underline">@{u.username}</Link>;
+
+function QueueItem({ item, onDone }){
+  const [note, setNote] = useState('');
+  const [days, setDays] = useState(7);
+  const [error, setError] = useState(null);
+  const { video, user } = item;
+  const targetId = item.targetType === 'video' ? item._id.slice('video:'.length) : item._id.slice('user:'.length);
+
+  const act = async (method, url, body = {}) => {
+    try {
+      await api.request({ method, url, data: { ...body, note } });
+      onDone(item._id);
+    } catch (err) { setError(err.response?.data?.error || err.message); }
+  }
+
+  return (
+    <div className="p-4 mb-4 rounded-xl bg-white/5">
+      <div className="flex justify-between text-sm text-gray-300">
+        <span>{item.count} report{item.count > 1 ? 's' : ''} · {Object.entries(item.reasons).map(([r, n]) => `${r} ×${n}`).join(', ')}</span>
+        <span>{new Date(item.latest).toLocaleString()}</span>
+      </div>
+
+      {item.targetType === 'video' && (video ? (
+        <div className="mt-2">
+          <p className="font-bold">{video.title || 'Untitled'} {video.hidden && <span className="text-xs text-yellow-400">(hidden)</span>}</p>
+          {video.user && <p className="text-sm">by {userLink(video.user)}</p>}
+          <div className="aspect-video bg-black rounded-xl overflow-hidden mt-2 max-w-md">
+            <VideoPlayer v={video} className="w-full h-full object-contain" />
+          </div>
+        </div>
+      ) : <p className="mt-2 text-gray-400">Video no longer exists</p>)}
+      {item.targetType === 'user' && (user ? (
+        <p className="mt-2">{userLink(user)} <span className="text-xs text-gray-400">{user.role}{user.suspendedUntil && new Date(user.suspendedUntil) > new Date() ? `, suspended until ${new Date(user.suspendedUntil).toLocaleDateString()}` : ''}</span></p>
+      ) : <p className="mt-2 text-gray-400">Account no longer exists</p>)}
+
+      <ul className="mt-2 text-sm">
+        {item.samples.map((s, i) => (
+          <li key={i} className="text-gray-300"><span className="text-gray-400">{s.reporter?.username || 'unknown'} · {s.reason}:</span> {s.details || '—'}</li>
+        ))}
+      </ul>
+
+      <div className="mt-3 flex flex-wrap gap-2 items-center">
+        <input value={note} onChange={e=>setNote(e.target.value)} placeholder="Note for the audit log" className="flex-1 min-w-40 p-1 rounded text-black text-sm" />
+        {item.targetType === 'video' && video && <>
+          {!video.hidden && <button onClick={()=>act('post', `/api/moderation/videos/${targetId}/hide`)} className="px-3 py-1 rounded bg-yellow-600">Hide</button>}
+          <button onClick={()=>window.confirm('Delete this video permanently?') && act('delete', `/api/moderation/videos/${targetId}`)} className="px-3 py-1 rounded bg-red-700">Remove</button>
+        </>}
+        {item.targetType === 'user' && user && <>
+          <input type="number" min={1} value={days} onChange={e=>setDays(e.target.value)} className="w-16 p-1 rounded text-black text-sm" />
+          <button onClick={()=>act('post', `/api/moderation/users/${targetId}/suspend`, { days: Number(days) })} className="px-3 py-1 rounded bg-red-700">Suspend (days)</button>
+        </>}
+        <button onClick={()=>act('post', '/api/moderation/reports/dismiss', { targetType: item.targetType, targetId })} className="px-3 py-1 rounded bg-white/10">Dismiss</button>
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  );
+}
+
+// report queue and audit log, for moderators and admins
+export default function Moderation(){
+  const [tab, setTab] = useState('queue');
+  const staff = ['moderator', 'admin'].includes(localStorage.getItem('role'));
+  const queue = usePaginatedFeed('/api/moderation/queue', { enabled: staff && tab === 'queue' });
+  const log = usePaginatedFeed('/api/moderation/audit', { enabled: staff && tab === 'audit', limit: 30 });
+
+  if(!staff) return <div>Moderators only.</div>;
+  const current = tab === 'queue' ? queue : log;
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="flex gap-2 mb-4">
+        {['queue', 'audit'].map(t => (
+          <button key={t} onClick={()=>setTab(t)} className={`px-3 py-1 rounded-full ${tab === t ? 'bg-white text-black' : 'bg-white/10'}`}>
+            {t === 'queue' ? 'Reports' : 'Audit log'}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'queue' && queue.videos.map(item => (
+        <QueueItem key={item._id} item={item} onDone={id=>queue.setVideos(prev=>prev.filter(i=>i._id !== id))} />
+      ))}
+      {tab === 'audit' && log.videos.map(entry => (
+        <div key={entry._id} className="p-2 mb-1 rounded bg-white/5 text-sm">
+          <span className="font-semibold">{entry.actor?.username || 'unknown'}</span> {ACTIONS[entry.action]} {entry.targetType} {entry.details?.title ? `“${entry.details.title}”` : entry.target}
+          {entry.details?.to && ` → ${entry.details.to}`}
+          {entry.details?.days && ` for ${entry.details.days} days`}
+          {entry.reports?.length > 0 && <span className="text-gray-400"> · closed {entry.reports.length} report{entry.reports.length > 1 ? 's' : ''}</span>}
+          {entry.note && <p className="text-gray-300">“{entry.note}”</p>}
+          <p className="text-xs text-gray-400">{new Date(entry.createdAt).toLocaleString()}</p>
+        </div>
+      ))}
+
+      {current.error && <p className="text-red-400">{current.error}</p>}
+      {!current.done && <div ref={current.sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {current.done && !current.videos.length && <p className="text-gray-400">{tab === 'queue' ? 'No open reports.' : 'No actions yet.'}</p>}
+    </div>
+  );
+}
+```
+
+---
+
+### frontend/src/pages/Account.jsx
+
+```jsx
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api, { saveSession, clearSession } from '../api';
+import { reconnectSocket } from '../socket';
+import Avatar from '../components/Avatar';
+
+// profile details, privacy, blocked accounts, password change and signing out other devices
+export default function Account(){
+  const loggedIn = !!localStorage.getItem('token');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [me, setMe] = useState(null);
+  const [displayName, setDisplayName] = useState('');
+  const [bio, setBio] = useState('');
+  const [profileMessage, setProfileMessage] = useState(null);
+  const [blocked, setBlocked] = useState([]);
+  const navigate = useNavigate();
+
+  useEffect(()=>{
+    if(!loggedIn) return;
+    api.get('/api/users/me').then(r=>{
+      setMe(r.data);
+      setDisplayName(r.data.displayName || '');
+      setBio(r.data.bio || '');
+    }).catch(()=>{});
+    api.get('/api/users/blocked').then(r=>setBlocked(r.data.items)).catch(()=>{});
+  },[loggedIn]);
+
+  if(!loggedIn) return <div>Please login to manage your account (go to /auth)</div>;
+
+  const setPrivate = async value=>{
+    if(!value && me.followRequests > 0 && !window.confirm(`Going public approves your ${me.followRequests} pending follow request(s). Continue?`)) return;
+    try {
+      const r = await api.patch('/api/users/me', { private: value });
+      setMe({ ...r.data, followRequests: 0 });
+    } catch (err) { setMessage(err.response?.data?.error || err.message); }
+  }
 
-  const submit = async (e) =>{
+  const saveProfile = async e=>{
     e.preventDefault();
-    if(!file) return alert('Choose file');
+    try {
+      const r = await api.patch('/api/users/me', { displayName, bio });
+      setMe(m=>({ ...r.data, followRequests: m.followRequests }));
+      setProfileMessage('Profile saved.');
+    } catch (err) { setProfileMessage(err.response?.data?.error || err.message); }
+  }
+
+  const changeAvatar = async e=>{
+    const file = e.target.files[0];
+    e.target.value = '';
+    if(!file) return;
     const form = new FormData();
-    form.append('title', title);
-    form.append('video', file);
-    form.append('userId', localStorage.getItem('userId') || '');
-    await axios.post(`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}/api/videos/upload`, form, { headers: {'Content-Type':'multipart/form-data'} });
-    alert('Uploaded');
+    form.append('avatar', file);
+    try {
+      const r = await api.post('/api/users/me/avatar', form);
+      setMe(m=>({ ...m, avatarUrl: r.data.avatarUrl }));
+      setProfileMessage(null);
+    } catch (err) { setProfileMessage(err.response?.data?.error || err.message); }
+  }
+
+  const removeAvatar = async ()=>{
+    await api.delete('/api/users/me/avatar').catch(()=>{});
+    setMe(m=>({ ...m, avatarUrl: null }));
+  }
+
+  const unblock = async u=>{
+    await api.post('/api/users/unblock', { targetId: u._id }).catch(()=>{});
+    setBlocked(prev=>prev.filter(x=>x._id !== u._id));
+  }
+
+  const changePassword = async e=>{
+    e.preventDefault();
+    try {
+      // every session is revoked; this one continues with the new tokens
+      const r = await api.post('/api/auth/password', { currentPassword, newPassword });
+      saveSession(r.data);
+      reconnectSocket();
+      setCurrentPassword('');
+      setNewPassword('');
+      setMessage('Password changed. Other devices have been signed out.');
+    } catch (err) { setMessage(err.response?.data?.error || err.message); }
+  }
+
+  const logoutAll = async ()=>{
+    if(!window.confirm('Sign out on every device, including this one?')) return;
+    await api.post('/api/auth/logout-all').catch(()=>{});
+    clearSession();
+    reconnectSocket();
+    navigate('/auth');
   }
 
   return (
-    <form onSubmit={submit} className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">
-      <h2 className="text-lg mb-4">Upload</h2>
-      <input className="w-full mb-3 p-2 rounded" placeholder="Title" value={title} onChange={e=>setTitle(e.target.value)} />
-      <input className="w-full mb-3" type="file" accept="video/*" onChange={e=>setFile(e.target.files[0])} />
-      <button className="bg-white text-black px-4 py-2 rounded">Upload</button>
-    </form>
+    <div className="max-w-md mx-auto space-y-6">
+      {me && (
+        <form onSubmit={saveProfile} className="p-6 bg-black/40 rounded-xl">
+          <h2 className="text-lg mb-4">Profile</h2>
+          <div className="flex items-center gap-3 mb-3">
+            <Avatar user={me} size="w-16 h-16 text-2xl" />
+            <label className="px-3 py-1 rounded bg-white/10 text-sm cursor-pointer">
+              Change photo
+              <input type="file" accept="image/*" className="hidden" onChange={changeAvatar} />
+            </label>
+            {me.avatarUrl && <button type="button" onClick={removeAvatar} className="text-sm text-gray-400">Remove</button>}
+          </div>
+          <input className="w-full mb-3 p-2 rounded" placeholder="Display name" maxLength={50} value={displayName} onChange={e=>setDisplayName(e.target.value)} />
+          <textarea className="w-full mb-3 p-2 rounded" rows={3} placeholder="Bio" maxLength={160} value={bio} onChange={e=>setBio(e.target.value)} />
+          {profileMessage && <p className="mb-3 text-sm text-gray-300">{profileMessage}</p>}
+          <div className="flex items-center justify-between">
+            <button className="bg-white text-black px-4 py-2 rounded">Save profile</button>
+            <Link to={`/u/${encodeURIComponent(me.username)}`} className="text-sm text-gray-400 hover:underline">View profile</Link>
+          </div>
+        </form>
+      )}
+      {me && (
+        <div className="p-6 bg-black/40 rounded-xl">
+          <h2 className="text-lg mb-2">Privacy</h2>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={me.private} onChange={e=>setPrivate(e.target.checked)} />
+            Private account
+          </label>
+          <p className="text-sm text-gray-400 mt-1">New followers need your approval.</p>
+        </div>
+      )}
+      <div className="p-6 bg-black/40 rounded-xl">
+        <h2 className="text-lg mb-2">Blocked accounts</h2>
+        {!blocked.length && <p className="text-sm text-gray-400">You haven't blocked anyone.</p>}
+        {blocked.map(u => (
+          <div key={u._id} className="flex justify-between items-center py-1">
+            <span>@{u.username}</span>
+            <button onClick={()=>unblock(u)} className="text-sm px-3 py-1 rounded bg-white/10">Unblock</button>
+          </div>
+        ))}
+      </div>
+      <form onSubmit={changePassword} className="p-6 bg-black/40 rounded-xl">
+        <h2 className="text-lg mb-4">Change password</h2>
+        <input type="password" className="w-full mb-3 p-2 rounded" placeholder="Current password" value={currentPassword} onChange={e=>setCurrentPassword(e.target.value)} />
+        <input type="password" className="w-full mb-3 p-2 rounded" placeholder="New password (8+ characters)" value={newPassword} onChange={e=>setNewPassword(e.target.value)} />
+        {message && <p className="mb-3 text-sm text-gray-300">{message}</p>}
+        <button className="bg-white text-black px-4 py-2 rounded">Change password</button>
+      </form>
+      <div className="p-6 bg-black/40 rounded-xl">
+        <h2 className="text-lg mb-2">Sessions</h2>
+        <button onClick={logoutAll} className="px-4 py-2 rounded bg-red-700">Log out of all devices</button>
+      </div>
+    </div>
   );
 }
 ```
 
 ---
 
-### frontend/src/pages/Auth.jsx
+### frontend/src/pages/Profile.jsx
 
 ```jsx
-import axios from 'axios';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import api from '../api';
+import Avatar from '../components/Avatar';
+import VideoCard from '../components/VideoCard';
+import ReportDialog from '../components/ReportDialog';
+import usePaginatedFeed from '../hooks/usePaginatedFeed';
 
-export default function Auth(){
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [username, setUsername] = useState('');
-  const [mode, setMode] = useState('login');
+const TABS = ['videos', 'followers', 'following'];
+const FOLLOW_LABELS = { none: 'Follow', requested: 'Requested', following: 'Following' };
 
-  const submit = async (e)=>{
-    e.preventDefault();
-    if(mode==='register'){
-      await axios.post(`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}/api/auth/register`, { username, email, password });
-      alert('Registered');
-    } else {
-      const res = await axios.post(`${import.meta.env.VITE_BACKEND_URL||'http://localhost:5000'}/api/auth/login`, { email, password });
-      localStorage.setItem('token', res.data.token);
-      localStorage.setItem('userId', res.data.user.id);
-      alert('Logged in');
-    }
+function UserRow({ u }){
+  return (
+    <Link to={`/u/${encodeURIComponent(u.username)}`} className="flex items-center gap-3 p-3 mb-2 rounded-xl bg-white/5 hover:bg-white/10">
+      <Avatar user={u} />
+      <div className="min-w-0">
+        <p className="font-semibold truncate">{u.displayName || u.username}</p>
+        <p className="text-sm text-gray-400">@{u.username}</p>
+      </div>
+    </Link>
+  );
+}
+
+// keyed per tab by the page, so each list starts from its own first page
+function TabList({ url, tab }){
+  const { videos: items, done, error, sentinelRef } = usePaginatedFeed(url, { limit: 12 });
+  return (
+    <>
+      {tab === 'videos'
+        ? <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">{items.map(v => <VideoCard key={v._id} v={v} />)}</div>
+        : items.map(u => <UserRow key={u._id} u={u} />)}
+      {error && <p className="text-red-400">{error}</p>}
+      {!done && <div ref={sentinelRef} className="py-6 text-center text-gray-400">Loading…</div>}
+      {done && !items.length && <p className="text-gray-400">{tab === 'videos' ? 'No videos yet.' : 'Nobody here yet.'}</p>}
+    </>
+  );
+}
+
+export default function Profile(){
+  const { username } = useParams();
+  const loggedIn = !!localStorage.getItem('token');
+  const [profile, setProfile] = useState(null);
+  const [notFound, setNotFound] = useState(null);
+  const [tab, setTab] = useState('videos');
+  const [reporting, setReporting] = useState(false);
+  const navigate = useNavigate();
+  const base = `/api/users/${encodeURIComponent(username)}`;
+
+  const load = ()=> api.get(base)
+    .then(r=>{ setProfile(r.data); setNotFound(null); })
+    .catch(err=>setNotFound(err.response?.data?.error || err.message));
+
+  useEffect(()=>{
+    setProfile(null);
+    setTab('videos');
+    load();
+  },[base]);
+
+  // the server decides between following and requesting; the header is
+  // refetched so counts and access follow suit
+  const toggleFollow = async ()=>{
+    if(!loggedIn) return alert('Login to follow accounts');
+    const action = profile.relationship === 'none' ? 'follow' : 'unfollow';
+    if(action === 'unfollow' && profile.private && !window.confirm(`Unfollow @${profile.username}? You'll have to request again to see their videos.`)) return;
+    await api.post(`/api/users/${action}`, { targetId: profile._id }).catch(()=>{});
+    load();
   }
 
+  const block = async ()=>{
+    if(!window.confirm(`Block @${profile.username}? Neither of you will see the other's videos, comments or messages.`)) return;
+    await api.post('/api/users/block', { targetId: profile._id });
+    navigate('/');
+  }
+
+  if(notFound) return <p className="text-gray-400">{notFound}</p>;
+  if(!profile) return <p className="text-gray-400">Loading…</p>;
+
   return (
-    <form onSubmit={submit} className="max-w-md mx-auto p-6 bg-black/40 rounded-xl">
-      <h2 className="text-lg mb-4">{mode==='login'? 'Login' : 'Register'}</h2>
-      {mode==='register' && <input className="w-full mb-3 p-2 rounded" placeholder="Username" value={username} onChange={e=>setUsername(e.target.value)} />}
-      <input className="w-full mb-3 p-2 rounded" placeholder="Email" value={email} onChange={e=>setEmail(e.target.value)} />
-      <input type="password" className="w-full mb-3 p-2 rounded" placeholder="Password" value={password} onChange={e=>setPassword(e.target.value)} />
-      <button className="bg-white text-black px-4 py-2 rounded">{mode==='login'?'Login':'Register'}</button>
-      <div className="mt-3 text-sm">
-        <button type="button" onClick={()=>setMode(mode==='login'?'register':'login')}>Switch to {mode==='login'?'register':'login'}</button>
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-start gap-4 mb-4">
+        <Avatar user={profile} size="w-20 h-20 text-3xl" />
+        <div className="flex-1 min-w-0">
+          <h2 className="text-xl font-bold truncate">{profile.displayName || profile.username}</h2>
+          <p className="text-gray-400">@{profile.username}{profile.private && ' 🔒'}{profile.followsYou && <span className="ml-2 text-xs bg-white/10 rounded px-1">Follows you</span>}</p>
+          {profile.bio && <p className="mt-2 whitespace-pre-wrap">{profile.bio}</p>}
+          <div className="flex gap-4 mt-2 text-sm">
+            <span><b>{profile.counts.videos}</b> videos</span>
+            <button onClick={()=>profile.canView && setTab('followers')}><b>{profile.counts.followers}</b> followers</button>
+            <button onClick={()=>profile.canView && setTab('following')}><b>{profile.counts.following}</b> following</button>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {profile.relationship === 'self'
+            ? <Link to="/account" className="px-4 py-2 rounded bg-white/10">Edit profile</Link>
+            : <>
+                <button onClick={toggleFollow} className={`px-4 py-2 rounded ${profile.relationship === 'none' ? 'bg-pink-600' : 'bg-white/10'}`}>
+                  {FOLLOW_LABELS[profile.relationship]}
+                </button>
+                {loggedIn && <button onClick={()=>setReporting(true)} className="px-3 py-2 rounded bg-white/10" title="Report">⚑</button>}
+                {loggedIn && <button onClick={block} className="px-3 py-2 rounded bg-white/10 text-sm">Block</button>}
+              </>}
+        </div>
       </div>
-    </form>
+
+      {!profile.canView ? (
+        <p className="p-6 text-center text-gray-400 bg-white/5 rounded-xl">This account is private. Follow it to see their videos.</p>
+      ) : (
+        <>
+          <div className="flex gap-2 mb-4">
+            {TABS.map(t => (
+              <button key={t} onClick={()=>setTab(t)}
+                className={`px-3 py-1 rounded-full capitalize ${t === tab ? 'bg-white text-black' : 'bg-white/10'}`}>{t}</button>
+            ))}
+          </div>
+          <TabList key={`${base}/${tab}`} url={`${base}/${tab}`} tab={tab} />
+        </>
+      )}
+      {reporting && <ReportDialog targetType="user" targetId={profile._id} onClose={()=>setReporting(false)} />}
+    </div>
   );
 }
 ```
@@ -754,13 +8407,35 @@ export default function Auth(){
 ## README / Run Instructions
 
 1. Clone repo and `cd backend` then `npm install`. Create `.env` from `.env.example` and fill values.
-2. Run Redis locally: `redis-server` (or use Docker `docker run -p 6379:6379 redis`).
-3. Start backend: `npm run dev` (nodemon) or `npm start`.
-4. `cd frontend` then `npm install` and create `.env` or use Vite's `VITE_BACKEND_URL` if needed.
-5. Start frontend: `npm run dev` (Vite default port 5173).
+2. Install ffmpeg (provides `ffmpeg` and `ffprobe`, used to transcode uploads to HLS).
+3. Run Redis locally: `redis-server` (or use Docker `docker run -p 6379:6379 redis`).
+4. Start backend: `npm run dev` (nodemon) or `npm start`.
+5. `cd frontend` then `npm install` and create `.env` or use Vite's `VITE_BACKEND_URL` if needed.
+6. Start frontend: `npm run dev` (Vite default port 5173).
 
 Notes:
-- Swap local uploads to S3 by replacing Multer storage with an S3 storage adapter.
+- Storage is pluggable (`STORAGE_DRIVER=local|s3`). To try the S3 driver locally, run MinIO:
+  `docker run -p 9000:9000 -p 9001:9001 -e MINIO_ROOT_USER=minio -e MINIO_ROOT_PASSWORD=minio123 minio/minio server /data --console-address :9001`,
+  create the bucket, allow CORS from the frontend origin, and set `S3_ENDPOINT=http://localhost:9000`, `S3_FORCE_PATH_STYLE=true` and the credentials.
+- Videos uploaded before storage keys existed: run `node scripts/migrateStorageKeys.js` once.
+- Videos uploaded before hashtags were parsed: run `node scripts/backfillHashtags.js` once so they show up on tag pages,
+  and `node scripts/backfillSearchFields.js` once so existing users and videos are searchable.
+- For You ranking weights live in `recommender/config.js`; override any subset with a JSON file via `RECO_CONFIG`. To compare a change offline before shipping it,
+  replay logged interactions: `node scripts/evaluateRecommender.js --from 2024-05-01 --to 2024-05-08 --compare tweaked.json` (prints hit@k, MRR and NDCG per variant).
+  `GET /api/videos/for-you?explain=1` returns each item's score breakdown.
+- Moderation: make the first admin with `node scripts/setRole.js <username> admin`; admins grant roles with `POST /api/moderation/users/:id/role`.
+  Reported videos and accounts are reviewed there; hidden videos drop out of every feed and can be restored, removals are permanent.
+  Every action is recorded in the audit log (`GET /api/moderation/audit`).
+- Videos on screen get live like, comment and viewer counts, pushed at most every `LIVE_COUNTS_MS` per video.
+- Feed events are kept in per-room Redis Streams for `FEED_REPLAY_MINUTES` (Redis 6.2+ required), so clients that reconnect get what they missed.
+- Auth: access tokens last `ACCESS_TOKEN_MINUTES`, refresh tokens rotate on every use and are stored server-side (`Session`), so logout, "log out all devices" and password changes revoke them.
+  New accounts must confirm their email before logging in. Emails use `MAIL_DRIVER=console` (printed to the log) by default; to see real messages locally run Mailpit
+  (`docker run -p 1025:1025 -p 8025:8025 axllent/mailpit`), set `MAIL_DRIVER=smtp` and open http://localhost:8025. Existing logins have to sign in again after upgrading.
+- Private accounts (`PATCH /api/users/me { private: true }`) turn follows into requests the owner approves, and their videos are only shown to those followers. Blocking (`POST /api/users/block`) works both ways:
+  it ends follows and pending requests between the two accounts, and each disappears from the other's feeds, search, comments, notifications and live pushes.
+- Profiles live at `/u/:username` (`GET /api/users/:username` plus `/videos`, `/followers` and `/following`). Profile pictures are cropped to an `AVATAR_SIZE` JPEG with ffmpeg.
+  Existing logins need to sign in again for the navbar's Profile link to appear.
+- The For you, Following and Trending feeds have a full-screen player: swipe, scroll or use ↑/↓ (j/k) to move between videos, tap to mute (m), double-tap to like, Esc to close.
 - For production, run multiple backend instances behind a load balancer — Redis adapter ensures Socket.IO rooms work across instances.
 
 ---